@@ -5,36 +5,215 @@ import {
   showHelp,
   parseDirectoryStructure,
   parseDirectoryFromText,
+  scanDirectoryStructure,
+  undoLastRun,
+  checkDirectoryStructure,
+  formatStructureFile,
+  formatStructureText,
+  convertStructureFile,
+  convertStructureText,
+  readInput,
 } from "../src/dircraft.js";
 
+/**
+ * Exit codes returned by main
+ * - SUCCESS: the command finished (also for dry runs and --help)
+ * - USAGE_ERROR: no structure was given, an option has an invalid value, or a command failed
+ *   for another reason
+ * - CANCELLED: the confirmation prompt was declined
+ * - PARSE_ERROR: the structure or an option is invalid (parse errors, unsafe paths, ...)
+ * - CONFLICT: files already exist and --on-conflict is "fail"
+ * - IO_ERROR: reading the structure or writing the files failed
+ * - INPUT_REQUIRED: a confirmation was needed but input isn't interactive (CI, --no-input);
+ *   pass --yes to proceed
+ * - VIOLATIONS: check found entries of the directory that don't follow the structure
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  USAGE_ERROR: 1,
+  CANCELLED: 2,
+  PARSE_ERROR: 3,
+  CONFLICT: 4,
+  IO_ERROR: 5,
+  INPUT_REQUIRED: 6,
+  VIOLATIONS: 7,
+};
+
+// Exit code for the reason a run failed
+const EXIT_CODES_BY_REASON = {
+  cancelled: EXIT_CODES.CANCELLED,
+  parse: EXIT_CODES.PARSE_ERROR,
+  conflict: EXIT_CODES.CONFLICT,
+  io: EXIT_CODES.IO_ERROR,
+  input: EXIT_CODES.INPUT_REQUIRED,
+  violations: EXIT_CODES.VIOLATIONS,
+};
+
+/**
+ * Converts the result of a command into the value returned by main
+ * @param {{success: boolean, reason?: string, error?: Error}} result - Result of the command
+ * @returns {{exitCode: number, error?: Error}}
+ */
+function toExitResult(result) {
+  const exitCode = result.success
+    ? EXIT_CODES.SUCCESS
+    : EXIT_CODES_BY_REASON[result.reason] ?? EXIT_CODES.USAGE_ERROR;
+  return { exitCode, error: result.error };
+}
+
 /**
  * Main function that handles CLI execution
  * @param {Object} options - Options (to be able to pass options directly in tests)
- * @returns {Promise<{exitCode: number, error?: Error}>}
+ * @returns {Promise<{exitCode: number, error?: Error}>} - exitCode is one of EXIT_CODES
  */
 async function main(options = null) {
   // If options are provided, use them, otherwise parse arguments
   const parsedOptions = options || parseArgs();
 
+  // Options with invalid values are refused rather than replaced by their default
+  if (parsedOptions.usageError) {
+    const error = new Error(parsedOptions.usageError);
+    console.error(`❌ ${error.message}`);
+    return { exitCode: EXIT_CODES.USAGE_ERROR, error };
+  }
+
+  // Scan mode renders an existing directory instead of creating one
+  if (parsedOptions.command === "scan" && !parsedOptions.showHelp) {
+    const result = await scanDirectoryStructure(parsedOptions.scanDir || ".", {
+      depth: parsedOptions.depth,
+      gitignore: parsedOptions.gitignore,
+      commentsFile: parsedOptions.commentsFile,
+      dialect: parsedOptions.dialect,
+    });
+    return toExitResult(result);
+  }
+
+  // Undo removes what the last run created in the output directory
+  if (parsedOptions.command === "undo" && !parsedOptions.showHelp) {
+    const result = await undoLastRun(parsedOptions.outputDir, {
+      skipConfirmation: parsedOptions.skipConfirmation,
+      dryRun: parsedOptions.dryRun,
+      interactive: parsedOptions.interactive,
+    });
+    return toExitResult(result);
+  }
+
+  // Check compares an existing directory with the structure of a file
+  if (parsedOptions.command === "check" && !parsedOptions.showHelp) {
+    if (!parsedOptions.filePath) {
+      showHelp();
+      return { exitCode: EXIT_CODES.USAGE_ERROR };
+    }
+    const result = await checkDirectoryStructure(
+      parsedOptions.filePath,
+      parsedOptions.outputDir,
+      {
+        noExtras: parsedOptions.noExtras,
+        ignore: parsedOptions.ignore,
+        dialect: parsedOptions.dialect,
+        block: parsedOptions.block,
+        format: parsedOptions.format,
+        strict: parsedOptions.strict,
+      }
+    );
+    return toExitResult(result);
+  }
+
+  // Fmt prints the tree in the canonical format, or rewrites the file with --write
+  if (
+    parsedOptions.command === "fmt" &&
+    !parsedOptions.showHelp &&
+    (parsedOptions.filePath ||
+      parsedOptions.stdin ||
+      parsedOptions.directStructure)
+  ) {
+    const formatOptions = {
+      sort: parsedOptions.sort,
+      write: parsedOptions.write,
+      dialect: parsedOptions.dialect,
+      block: parsedOptions.block,
+      strict: parsedOptions.strict,
+    };
+    const result = parsedOptions.filePath
+      ? await formatStructureFile(parsedOptions.filePath, formatOptions)
+      : formatStructureText(
+          parsedOptions.stdin
+            ? await readInput()
+            : parsedOptions.directStructure,
+          formatOptions
+        );
+    return toExitResult(result);
+  }
+
+  // Convert prints the structure in another format
+  if (
+    parsedOptions.command === "convert" &&
+    !parsedOptions.showHelp &&
+    (parsedOptions.filePath ||
+      parsedOptions.stdin ||
+      parsedOptions.directStructure)
+  ) {
+    const convertOptions = {
+      to: parsedOptions.to,
+      format: parsedOptions.format,
+      dialect: parsedOptions.dialect,
+      block: parsedOptions.block,
+      strict: parsedOptions.strict,
+    };
+    const result = parsedOptions.filePath
+      ? await convertStructureFile(parsedOptions.filePath, convertOptions)
+      : convertStructureText(
+          parsedOptions.stdin
+            ? await readInput()
+            : parsedOptions.directStructure,
+          convertOptions
+        );
+    return toExitResult(result);
+  }
+
   if (
     parsedOptions.showHelp ||
-    (!parsedOptions.filePath && !parsedOptions.directStructure)
+    (!parsedOptions.filePath &&
+      !parsedOptions.directStructure &&
+      !parsedOptions.stdin)
   ) {
     showHelp();
     // Instead of process.exit, we return to facilitate testing
-    return { exitCode: parsedOptions.showHelp ? 0 : 1 };
+    return {
+      exitCode: parsedOptions.showHelp
+        ? EXIT_CODES.SUCCESS
+        : EXIT_CODES.USAGE_ERROR,
+    };
   }
 
   let result;
 
+  // A structure piped to stdin is handled like a direct structure
+  const structureText = parsedOptions.stdin
+    ? await readInput()
+    : parsedOptions.directStructure;
+
   // If direct structure is provided, use it
-  if (parsedOptions.directStructure) {
+  if (parsedOptions.stdin || parsedOptions.directStructure) {
     result = await parseDirectoryFromText(
-      parsedOptions.directStructure,
+      structureText,
       parsedOptions.outputDir,
       {
         skipConfirmation: parsedOptions.skipConfirmation,
         dryRun: parsedOptions.dryRun,
+        interactive: parsedOptions.interactive,
+        dialect: parsedOptions.dialect,
+        block: parsedOptions.block,
+        format: parsedOptions.format,
+        onConflict: parsedOptions.onConflict,
+        strict: parsedOptions.strict,
+        record: parsedOptions.record,
+        empty: parsedOptions.empty,
+        commentHeaders: parsedOptions.commentHeaders,
+        docsPath: parsedOptions.docsPath,
+        sync: parsedOptions.command === "sync",
+        ignore: parsedOptions.ignore,
+        force: parsedOptions.force,
       }
     );
   } else {
@@ -45,12 +224,25 @@ async function main(options = null) {
       {
         skipConfirmation: parsedOptions.skipConfirmation,
         dryRun: parsedOptions.dryRun,
+        interactive: parsedOptions.interactive,
+        dialect: parsedOptions.dialect,
+        block: parsedOptions.block,
+        format: parsedOptions.format,
+        onConflict: parsedOptions.onConflict,
+        strict: parsedOptions.strict,
+        record: parsedOptions.record,
+        empty: parsedOptions.empty,
+        commentHeaders: parsedOptions.commentHeaders,
+        docsPath: parsedOptions.docsPath,
+        sync: parsedOptions.command === "sync",
+        ignore: parsedOptions.ignore,
+        force: parsedOptions.force,
       }
     );
   }
 
   // Return an exit code instead of calling process.exit directly
-  return { exitCode: result.success ? 0 : 1, error: result.error };
+  return toExitResult(result);
 }
 
 // Only call process.exit if executed directly (not in tests)
@@ -64,9 +256,9 @@ if (process.env.NODE_ENV !== "test") {
     .catch((error) => {
       console.error("Critical error:", error);
       console.error(error.stack);
-      process.exit(1);
+      process.exit(EXIT_CODES.USAGE_ERROR);
     });
 }
 
 // Export for testing
-export { main };
\ No newline at end of file
+export { main, EXIT_CODES };
\ No newline at end of file
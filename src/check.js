@@ -0,0 +1,127 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { buildTree } from "./render.js";
+import { globToRegExp, parseGitignore, isIgnored } from "./glob.js";
+import { RUN_MANIFEST_FILE } from "./history.js";
+
+// Entries that are never reported as extras
+const ALWAYS_ALLOWED = [".git", RUN_MANIFEST_FILE];
+
+/**
+ * Checks whether an entry name of a structure is a wildcard (*, ?, [...] or **)
+ * @param {string} name - Entry name, without trailing "/"
+ * @returns {boolean}
+ */
+export function isWildcard(name) {
+  return /[*?[]/.test(name);
+}
+
+/**
+ * Compares an existing directory with a structure
+ *
+ * - Every entry of the structure must exist with the same type, unless it's @optional
+ * - Wildcard entries (*.test.js, src-*) must match at least one entry; directories that
+ *   match are checked against the children of the wildcard
+ * - An entry named ** allows anything in its directory
+ * - With noExtras, or in directories marked @no-extras, entries that the structure
+ *   doesn't list are violations as well
+ *
+ * @param {Object} structure - Parsed structure with paths, directives and lines
+ * @param {string} dirPath - Directory to check (the output directory the structure was created in)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.noExtras - If true, no directory may have entries the structure doesn't list
+ * @param {Array<string>} options.ignore - Gitignore-style patterns of entries that are never extras
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{violations: Array<Object>, checked: number}>} - Violations ({type: "missing",
+ *   "type" or "unexpected", path, message, line?}) and the number of entries checked
+ */
+export async function checkStructure(structure, dirPath, options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const { directives = {}, lines = {} } = structure;
+  const rules = parseGitignore((options.ignore || []).join("\n"));
+  const violations = [];
+  let checked = 0;
+
+  const readEntries = async (relativeDir) => {
+    try {
+      const entries = await fileSystem.readdir(
+        path.join(dirPath, relativeDir),
+        { withFileTypes: true }
+      );
+      return entries.filter((entry) => !ALWAYS_ALLOWED.includes(entry.name));
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "ENOTDIR") return [];
+      throw error;
+    }
+  };
+
+  const checkChildren = async (nodes, relativeDir, noExtras) => {
+    const actual = await readEntries(relativeDir);
+    const join = (name) => (relativeDir ? `${relativeDir}/${name}` : name);
+    const listed = new Set();
+    let allowAll = false;
+
+    for (const node of nodes) {
+      const name = node.name.replace(/\/$/, "");
+      const { optional, noExtras: strictDir } = directives[node.path] || {};
+      const line = lines[node.path];
+      if (name === "**") {
+        allowAll = true;
+        continue;
+      }
+
+      const pattern = isWildcard(name) ? globToRegExp(name) : null;
+      const candidates = actual.filter((entry) =>
+        pattern ? pattern.test(entry.name) : entry.name === name
+      );
+      const matches = candidates.filter(
+        (entry) => entry.isDirectory() === node.isDirectory
+      );
+      for (const entry of candidates) listed.add(entry.name);
+      checked++;
+
+      const expected = node.isDirectory ? "directory" : "file";
+      if (matches.length === 0 && candidates.length > 0 && !pattern) {
+        violations.push({
+          type: "type",
+          path: join(name),
+          message: `expected a ${expected}, found a ${
+            node.isDirectory ? "file" : "directory"
+          }`,
+          line,
+        });
+      } else if (matches.length === 0 && !optional) {
+        violations.push({
+          type: "missing",
+          path: join(node.name),
+          message: pattern ? `no ${expected} matches` : `${expected} not found`,
+          line,
+        });
+      }
+
+      if (!node.isDirectory) continue;
+      for (const match of matches) {
+        await checkChildren(
+          node.children,
+          join(match.name),
+          options.noExtras || strictDir
+        );
+      }
+    }
+
+    if (!noExtras || allowAll) return;
+    for (const entry of actual) {
+      const entryPath = join(entry.name);
+      if (listed.has(entry.name)) continue;
+      if (isIgnored(rules, entryPath, entry.isDirectory())) continue;
+      violations.push({
+        type: "unexpected",
+        path: `${entryPath}${entry.isDirectory() ? "/" : ""}`,
+        message: "not in the structure",
+      });
+    }
+  };
+
+  await checkChildren(buildTree(structure.paths), "", options.noExtras);
+  return { violations, checked };
+}
@@ -0,0 +1,228 @@
+import { findCodeBlocks } from "./extract.js";
+
+// First line of a shell heredoc that writes a file:
+// cat > path << 'EOF'   or   cat << EOF > path
+const HEREDOC_START =
+  /^\s*cat\s+(?:>\s*("[^"]+"|'[^']+'|\S+)\s*<<-?\s*(["']?)(\w+)\2|<<-?\s*(["']?)(\w+)\4\s*>\s*("[^"]+"|'[^']+'|\S+))\s*$/;
+
+// Path made of names without spaces
+const PATH_LIKE = /^(?:\.{0,2}\/)?(?:[\w@~$()[\]{}+.-]+\/)*[\w@~$()[\]{}+.-]+$/;
+
+// key=value attributes of an info string that name the file of a code block
+const PATH_ATTRIBUTE = /\b(?:title|file|filename|path)=(["']?)([^"'\s]+)\1/;
+
+// A comment that only contains a path, on the first line of a code block
+const PATH_COMMENT = /^\s*(?:\/\/|#|--|\/\*|<!--)\s*(\S+?)\s*(?:\*\/|-->)?\s*$/;
+
+/**
+ * Checks whether a text looks like a file path: no spaces, with a directory or an extension
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+function isPathLike(text) {
+  return (
+    PATH_LIKE.test(text) && (text.includes("/") || /[^.]\.\w+$/.test(text))
+  );
+}
+
+/**
+ * Removes the quotes around a shell word
+ * @param {string} word - Shell word
+ * @returns {string}
+ */
+function unquote(word) {
+  return /^(["']).*\1$/.test(word) ? word.slice(1, -1) : word;
+}
+
+/**
+ * Extracts the path named by a label line such as "### `src/index.js`" or "**File: app.py**:"
+ * List items are labels only when the path is wrapped in `code` or **bold** and the item
+ * doesn't continue a list, so the last entry of a Markdown tree isn't mistaken for one
+ * @param {string} line - Line before a code block
+ * @param {string} previousLine - Line before the label ("" at the start of the text)
+ * @returns {string|null} - Path, or null if the line isn't a path label
+ */
+function extractLabelPath(line, previousLine) {
+  const [, marker, rest] = line
+    .trim()
+    .match(/^(#{1,6}\s+|[-*+]\s+|\d+[.)]\s+)?(.*)$/);
+  const text = rest
+    .replace(/:$/, "")
+    .replace(/^(\*\*|__)(.*)\1$/, "$2")
+    .replace(/^(?:file(?:name)?|path)\s*:\s*/i, "")
+    .replace(/:$/, "")
+    .replace(/^`(.*)`$/, "$1");
+
+  const isListItem = Boolean(marker) && !marker.startsWith("#");
+  if (isListItem && (text === rest.replace(/:$/, "") || previousLine.trim())) {
+    return null;
+  }
+  return isPathLike(text) ? text : null;
+}
+
+/**
+ * Finds the path a code block belongs to: from its info string (```js src/index.js or
+ * title="src/index.js"), a label on the line before it, or a comment on its first line
+ * @param {Object} block - Block returned by findCodeBlocks
+ * @param {Array<string>} lines - Lines of the whole text
+ * @returns {{path: string, line: number}|null} - Path and the line that names it
+ */
+function findBlockPath(block, lines) {
+  const fenceLine = block.startLine - 1;
+
+  const attribute = block.info.match(PATH_ATTRIBUTE);
+  if (attribute) return { path: attribute[2], line: fenceLine };
+  const infoPath = block.info.split(/\s+/).find(isPathLike);
+  if (infoPath) return { path: infoPath, line: fenceLine };
+
+  // The label may be separated from the fence by a blank line
+  for (let number = fenceLine - 1; number >= fenceLine - 2; number--) {
+    const line = lines[number - 1];
+    if (line === undefined) break;
+    if (!line.trim()) continue;
+    const labelPath = extractLabelPath(line, lines[number - 2] ?? "");
+    if (labelPath) return { path: labelPath, line: number };
+    break;
+  }
+
+  const firstLine = block.content.split("\n")[0];
+  const comment = firstLine.match(PATH_COMMENT);
+  if (comment && isPathLike(comment[1])) {
+    return { path: comment[1], line: block.startLine };
+  }
+
+  return null;
+}
+
+/**
+ * Extracts the files written by shell heredocs (cat > path << 'EOF' ... EOF)
+ * Heredoc lines are blanked out of the returned text, so that line numbers are kept
+ * and the rest of the text can be parsed as a tree
+ * @param {string} text - Structure text or Markdown document
+ * @returns {{sections: Array<Object>, text: string}} - Sections with path, content, line
+ *   and source, and the remaining text
+ */
+export function extractHeredocs(text) {
+  const lines = text.split(/\r?\n/);
+  const sections = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const start = lines[index].match(HEREDOC_START);
+    if (!start) continue;
+
+    const filePath = unquote(start[1] || start[6]);
+    const delimiter = start[3] || start[5];
+    const source = lines[index];
+
+    // An unterminated heredoc runs until the end of the text
+    let end = index + 1;
+    while (end < lines.length && lines[end].trim() !== delimiter) end++;
+
+    const body = lines.slice(index + 1, end);
+    sections.push({
+      path: filePath,
+      content: body.length ? `${body.join("\n")}\n` : "",
+      line: index + 1,
+      source,
+    });
+
+    for (let blank = index; blank <= Math.min(end, lines.length - 1); blank++) {
+      lines[blank] = "";
+    }
+    index = end;
+  }
+
+  return { sections, text: lines.join("\n") };
+}
+
+/**
+ * Extracts the fenced code blocks that hold the content of a file named by a label,
+ * the info string or a comment on their first line
+ * Their lines (and labels) are blanked out of the returned text
+ * @param {string} text - Structure text or Markdown document
+ * @param {Array<number>} exclude - 1-based indexes of blocks that are not contents (the trees)
+ * @returns {{sections: Array<Object>, text: string}} - Sections with path, content, line
+ *   and source, and the remaining text
+ */
+export function extractContentBlocks(text, exclude = []) {
+  const lines = text.split(/\r?\n/);
+  const remaining = [...lines];
+  const sections = [];
+
+  for (const block of findCodeBlocks(text)) {
+    if (exclude.includes(block.index)) continue;
+
+    const named = findBlockPath(block, lines);
+    if (!named) continue;
+
+    sections.push({
+      path: named.path,
+      content: block.content ? `${block.content}\n` : "",
+      line: named.line,
+      source: lines[named.line - 1],
+    });
+
+    // Blank the label, the fences and the content
+    const firstLine = Math.min(named.line, block.startLine - 1);
+    const closingLine = Math.min(block.endLine + 1, lines.length);
+    for (let number = firstLine; number <= closingLine; number++) {
+      remaining[number - 1] = "";
+    }
+  }
+
+  return { sections, text: remaining.join("\n") };
+}
+
+/**
+ * Attaches content sections to the files of a structure
+ * A section path matches a file with the same path or, failing that, the only file
+ * whose path ends with it (so "src/index.js" matches "my-app/src/index.js")
+ * @param {Array<Object>} sections - Sections returned by extractHeredocs or extractContentBlocks
+ * @param {Array<string>} paths - Paths of the structure
+ * @returns {{contents: Object, diagnostics: Array<Object>}} - Map of contents by path, and
+ *   warnings for sections that don't match exactly one file
+ */
+export function attachContents(sections, paths) {
+  const files = paths.filter((entryPath) => !entryPath.endsWith("/"));
+  const contents = {};
+  const diagnostics = [];
+
+  const warn = (section, message) => {
+    diagnostics.push({
+      line: section.line,
+      column: Math.max(1, section.source.indexOf(section.path) + 1),
+      severity: "warning",
+      message,
+      source: section.source,
+    });
+  };
+
+  for (const section of sections) {
+    const key = section.path.replace(/^\.\//, "");
+    const matches = files.includes(key)
+      ? [key]
+      : files.filter((file) => file.endsWith(`/${key}`));
+
+    if (matches.length === 0) {
+      warn(
+        section,
+        `Content for "${key}" doesn't match any file in the structure`
+      );
+    } else if (matches.length > 1) {
+      warn(
+        section,
+        `Content for "${key}" matches several files: ${matches.join(", ")}`
+      );
+    } else {
+      if (contents[matches[0]] !== undefined) {
+        warn(
+          section,
+          `Content for "${matches[0]}" is given more than once; the last one is used`
+        );
+      }
+      contents[matches[0]] = section.content;
+    }
+  }
+
+  return { contents, diagnostics };
+}
@@ -0,0 +1,102 @@
+import { buildTree, renderTree } from "./render.js";
+import { structureToManifest, stringifyYaml } from "./manifest.js";
+import { formatDirectives } from "./directives.js";
+
+// Formats a structure can be converted to
+export const CONVERT_FORMATS = ["tree", "json", "yaml", "markdown", "paths"];
+
+/**
+ * Renders a structure as nested Markdown bullets, as read by the markdown dialect
+ * @param {Array<string>} paths - Paths of the structure (directories end with "/")
+ * @param {Object} comments - Map of comments by path, written after a "—"
+ * @param {Object} links - Map of symlink targets by path, written as "name -> target"
+ * @returns {string}
+ */
+function renderMarkdownList(paths, comments, links) {
+  const lines = [];
+  const renderNodes = (nodes, depth) => {
+    for (const node of nodes) {
+      const name = links[node.path]
+        ? `${node.name} -> ${links[node.path]}`
+        : node.name;
+      const comment = comments[node.path] ? ` — ${comments[node.path]}` : "";
+      lines.push(`${"  ".repeat(depth)}- \`${name}\`${comment}`);
+      renderNodes(node.children, depth + 1);
+    }
+  };
+
+  renderNodes(buildTree(paths), 0);
+  return lines.join("\n");
+}
+
+/**
+ * Renders a structure as one full path per line, with comments aligned on one column
+ * @param {Array<string>} paths - Paths of the structure (directories end with "/")
+ * @param {Object} comments - Map of comments by path, written as "# comment"
+ * @param {Object} links - Map of symlink targets by path, written as "path -> target"
+ * @returns {string}
+ */
+function renderPathList(paths, comments, links) {
+  const entries = paths.map((entryPath) =>
+    links[entryPath] ? `${entryPath} -> ${links[entryPath]}` : entryPath
+  );
+  const commentColumn =
+    Math.max(0, ...entries.map((entry) => entry.length)) + 2;
+
+  return entries
+    .map((entry, index) =>
+      comments[paths[index]]
+        ? `${entry.padEnd(commentColumn)}# ${comments[paths[index]]}`
+        : entry
+    )
+    .join("\n");
+}
+
+/**
+ * Writes a parsed structure in another format
+ *
+ * - tree: ASCII tree with ├──, └── and │, and an aligned "# comment" column
+ * - json, yaml: manifests that DirCraft reads back, with file contents
+ * - markdown: nested bullet lists ("- `name` — comment")
+ * - paths: one full path per line, directories ending with "/"
+ *
+ * Directives are written back into the comments; symlinks are written as "name -> target",
+ * except in manifests, where they are @link directives. Only manifests keep file contents.
+ *
+ * @param {Object} structure - Parsed structure with paths, comments, contents and directives
+ * @param {string} format - One of CONVERT_FORMATS
+ * @returns {string} - Converted structure, without a trailing newline
+ */
+export function convertStructure(structure, format) {
+  if (!CONVERT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown output format "${format}" (expected one of: ${CONVERT_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+
+  const { paths, directives = {}, contents = {} } = structure;
+  const isManifest = format === "json" || format === "yaml";
+  const comments = {};
+  const links = {};
+  for (const entryPath of paths) {
+    const { link, ...rest } = directives[entryPath] || {};
+    if (link && !isManifest) links[entryPath] = link;
+    const comment = formatDirectives(
+      structure.comments[entryPath],
+      isManifest ? directives[entryPath] : rest
+    );
+    if (comment) comments[entryPath] = comment;
+  }
+
+  if (isManifest) {
+    const manifest = structureToManifest(paths, comments, contents);
+    return format === "json"
+      ? JSON.stringify(manifest, null, 2)
+      : stringifyYaml(manifest).replace(/\n$/, "");
+  }
+  if (format === "markdown") return renderMarkdownList(paths, comments, links);
+  if (format === "paths") return renderPathList(paths, comments, links);
+  return renderTree(paths, { comments, links });
+}
@@ -1,106 +1,657 @@
-import { promises as fs } from "fs";
+import { promises as fs, openSync, closeSync, fstatSync } from "fs";
 import path from "path";
 import readline from "readline";
+import tty from "tty";
+import { scanDirectory } from "./scan.js";
+import { renderTree } from "./render.js";
+import { findCodeBlocks, selectTreeBlocks } from "./extract.js";
+import { parseManifest } from "./manifest.js";
+import {
+  extractHeredocs,
+  extractContentBlocks,
+  attachContents,
+} from "./contents.js";
+import {
+  DEFAULT_CONTENT_PROVIDERS,
+  createFileContext,
+  provideContent,
+} from "./providers.js";
+import { addHeaderComment, formatDirectoryReadme } from "./headers.js";
+import { DEFAULT_DOCS_PATH, renderStructureDoc } from "./docs.js";
+import { applyDirectives, describeDirectives } from "./directives.js";
+import {
+  STATUS_COLORS,
+  colorize,
+  planStructure,
+  formatPlanCounts,
+} from "./plan.js";
+import { planPrune } from "./sync.js";
+import { checkStructure } from "./check.js";
+import { convertStructure } from "./convert.js";
+import {
+  RUN_MANIFEST_FILE,
+  hashContent,
+  createRunManifest,
+  readRunManifest,
+  planUndo,
+} from "./history.js";
+
+export { scanDirectory } from "./scan.js";
+export { renderTree } from "./render.js";
+export {
+  findCodeBlocks,
+  extractTreeBlocks,
+  selectTreeBlocks,
+} from "./extract.js";
+export {
+  manifestToStructure,
+  structureToManifest,
+  parseYaml,
+  stringifyYaml,
+} from "./manifest.js";
+export {
+  extractHeredocs,
+  extractContentBlocks,
+  attachContents,
+} from "./contents.js";
+export { RUN_MANIFEST_FILE, readRunManifest, planUndo } from "./history.js";
+export { DEFAULT_DOCS_PATH, renderStructureDoc } from "./docs.js";
+export { planStructure, formatPlanCounts } from "./plan.js";
+export { planPrune } from "./sync.js";
+export { checkStructure, isWildcard } from "./check.js";
+export { CONVERT_FORMATS, convertStructure } from "./convert.js";
+export {
+  DIRECTIVES,
+  extractDirectives,
+  applyDirectives,
+  describeDirectives,
+} from "./directives.js";
+export {
+  formatHeaderComment,
+  addHeaderComment,
+  formatDirectoryReadme,
+} from "./headers.js";
+export {
+  DEFAULT_CONTENT_PROVIDERS,
+  createFileContext,
+  provideContent,
+} from "./providers.js";
 
 /**
  * Creates a command line interface for user interaction
+ * @param {stream.Readable} input - Stream to read answers from (stdin by default)
+ * @param {stream.Writable} output - Stream to write the prompts to (stdout by default)
  * @returns {readline.Interface}
  */
-export function createInterface() {
+export function createInterface(
+  input = process.stdin,
+  output = process.stdout
+) {
   return readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
+    input,
+    output,
   });
 }
 
+// Device of the controlling terminal, used for prompts when stdin is piped
+const TERMINAL_PATH = process.platform === "win32" ? "CONIN$" : "/dev/tty";
+
+/**
+ * Checks whether the user can answer prompts: stdin is a terminal, or there is
+ * a controlling terminal to read from (CI jobs and spawned processes usually have neither)
+ * @returns {boolean}
+ */
+export function isInteractive() {
+  if (process.stdin.isTTY) return true;
+
+  try {
+    closeSync(openSync(TERMINAL_PATH, "r"));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks that the confirmations a run needs can be asked
+ * A custom confirm function can always answer; the default one needs an interactive terminal,
+ * and --no-input (options.interactive = false) disables prompts altogether
+ * @param {Object} options - Options of the run
+ * @param {Object} logger - Object for logging
+ * @param {string} hint - What the user can do instead, for confirmations that --yes doesn't give
+ * @returns {{success: boolean, reason: string, error: Error}|null} - Failure to return, or null if prompts can be asked
+ */
+function checkPromptsAvailable(options, logger, hint = "use --yes to proceed") {
+  const canPrompt =
+    options.interactive !== false && (options.confirm || isInteractive());
+  if (canPrompt) return null;
+
+  const error = new Error(
+    `Confirmation is required but input is not interactive (${hint})`
+  );
+  logger.error(`❌ ${error.message}`);
+  return { success: false, reason: "input", error };
+}
+
+/**
+ * Opens the controlling terminal for reading
+ * @returns {tty.ReadStream}
+ */
+function openTerminal() {
+  return new tty.ReadStream(openSync(TERMINAL_PATH, "r"));
+}
+
+/**
+ * Opens the stream to read answers from: stdin, or the terminal when stdin is piped
+ * (the structure may have been read from it)
+ * @param {stream.Readable} stdin - Standard input (process.stdin by default)
+ * @param {Function} open - Opens the terminal, throwing if there is none (openTerminal by default)
+ * @returns {stream.Readable|null} - null if there is no terminal and stdin was already read
+ */
+export function openPromptInput(stdin = process.stdin, open = openTerminal) {
+  if (stdin.isTTY) return stdin;
+
+  try {
+    return open();
+  } catch {
+    // No terminal at all: stdin is all there is
+    return stdin.readableEnded ? null : stdin;
+  }
+}
+
 /**
  * Prompts the user for confirmation
+ * Answers are read from the terminal, so prompts work with a structure piped to stdin
  * @param {string} message - Message to display
+ * @param {boolean} defaultAnswer - Answer used when the user just presses Enter (true by default)
+ * @param {Object} streams - Streams to use instead of the terminal
+ * @param {stream.Readable} streams.input - Stream to read the answer from (openPromptInput() by default)
+ * @param {stream.Writable} streams.output - Stream to write the question to (stdout by default)
  * @returns {Promise<boolean>} - true if user confirms, false otherwise
  */
-export async function confirmAction(message) {
-  const rl = createInterface();
+export async function confirmAction(
+  message,
+  defaultAnswer = true,
+  streams = {}
+) {
+  const input = streams.input || openPromptInput();
+  if (!input) return false;
+  const rl = createInterface(input, streams.output);
 
   return new Promise((resolve) => {
-    rl.question(`${message} (Y/n): `, (answer) => {
-      rl.close();
+    // Input that ends without an answer declines
+    rl.on("close", () => resolve(false));
+    rl.question(`${message} (${defaultAnswer ? "Y/n" : "y/N"}): `, (answer) => {
       resolve(
         answer.toLowerCase() === "y" ||
           answer.toLowerCase() === "yes" ||
-          answer === ""
+          (answer === "" && defaultAnswer)
       );
+      rl.close();
+      if (input !== process.stdin) input.destroy();
     });
   });
 }
 
+/**
+ * Checks whether a stream is piped or redirected input (a pipe or a file, not a terminal)
+ * @param {stream.Readable} stream - Stream to check (stdin by default)
+ * @returns {boolean}
+ */
+export function isPipedInput(stream = process.stdin) {
+  if (stream.isTTY) return false;
+
+  try {
+    const stats = fstatSync(stream.fd ?? 0);
+    return stats.isFIFO() || stats.isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a stream until it ends
+ * @param {stream.Readable} stream - Stream to read (stdin by default)
+ * @returns {Promise<string>} - Text read from the stream
+ */
+export async function readInput(stream = process.stdin) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Tree dialects that can be parsed
+ * - unicode: box drawing output (├──, └──, │) from LLMs and `tree`
+ * - ascii: `tree --charset=ascii` output (|--, `--, |)
+ * - windows: `tree /F` output, where only directories have a connector and files have none:
+ *   +---, \--- and | or, with the default code page, ├───, └─── and │ (without a space after)
+ * - markdown: nested bullet lists (-, *, +, 1.) with `code` names and "— description" comments
+ * - outline: plain indentation with spaces or tabs, without tree characters
+ */
+export const TREE_DIALECTS = {
+  unicode: { guide: "│", connector: /[├└]─+/ },
+  ascii: { guide: "|", connector: /[|`]--/ },
+  windows: {
+    guide: "|│",
+    connector: /[+\\]---|[├└]───(?=[^\s─])/,
+    filesWithoutConnector: true,
+  },
+  markdown: {
+    guide: "",
+    connector: /(?:[-*+]|\d+[.)])(?=\s)/,
+    inlineMarkup: true,
+  },
+  outline: { guide: "", connector: null },
+};
+
+// Header and footer lines printed by `tree` and `tree /F`
+const SUMMARY_LINE_PATTERNS = [
+  /^\d+ director(?:y|ies)(?:, \d+ files?)?$/,
+  /^\d+ files?$/,
+  /^Folder PATH listing/i,
+  /^Volume serial number is/i,
+  /^No subfolders exist/i,
+];
+
+// Root lines that stand for the current directory (`tree` and `tree /F`)
+const CURRENT_DIRECTORY_ROOT = /^(?:\.|[A-Za-z]:(?:\.|\\.*)?)$/;
+
+/**
+ * Checks whether a line is a summary, header or footer line instead of an entry
+ * @param {string} line - Line to check
+ * @returns {boolean}
+ */
+export function isSummaryLine(line) {
+  const trimmed = line.trim();
+  return SUMMARY_LINE_PATTERNS.some((pattern) => pattern.test(trimmed));
+}
+
+/**
+ * Detects the dialect of a tree by counting the connectors of each dialect
+ * Several lines without any connector are read as an indented outline
+ * @param {string|Array<string>} content - Tree text or its lines
+ * @returns {string} - Name of the detected dialect
+ */
+export function detectTreeDialect(content) {
+  const lines = Array.isArray(content) ? content : content.split("\n");
+  let bestDialect = "unicode";
+  let bestCount = 0;
+  const counts = {};
+
+  for (const [name, dialect] of Object.entries(TREE_DIALECTS)) {
+    if (!dialect.connector) continue;
+    counts[name] = lines.filter(
+      (line) => splitTreeLine(line, dialect).connector
+    ).length;
+    if (counts[name] > bestCount) {
+      bestDialect = name;
+      bestCount = counts[name];
+    }
+  }
+
+  // The ├─── connectors of `tree /F` are unicode ones too: the stricter dialect wins
+  if (
+    bestDialect === "unicode" &&
+    bestCount > 0 &&
+    counts.windows === bestCount
+  ) {
+    bestDialect = "windows";
+  }
+
+  const entryLines = lines.filter(
+    (line) => line.trim() && !isSummaryLine(line)
+  );
+  if (bestCount === 0 && entryLines.length > 1) {
+    return "outline";
+  }
+
+  return bestDialect;
+}
+
+/**
+ * Resolves a dialect option to a dialect definition
+ * @param {string} dialectName - Dialect name, or "auto"/undefined to detect it
+ * @param {Array<string>} lines - Lines used for detection
+ * @returns {Object} - Dialect definition
+ */
+function resolveDialect(dialectName, lines) {
+  const name =
+    !dialectName || dialectName === "auto"
+      ? detectTreeDialect(lines)
+      : dialectName;
+
+  if (!TREE_DIALECTS[name]) {
+    throw new Error(
+      `Unknown tree dialect "${name}" (expected one of: auto, ${Object.keys(
+        TREE_DIALECTS
+      ).join(", ")})`
+    );
+  }
+
+  return TREE_DIALECTS[name];
+}
+
+/**
+ * Splits a tree line into its guide prefix, connector and remaining text
+ * @param {string} line - Line to split
+ * @param {Object} dialect - Dialect definition
+ * @returns {{prefix: string, connector: string, text: string}}
+ */
+function splitTreeLine(line, dialect) {
+  const guide = dialect.guide ? `[${escapeRegExp(dialect.guide)}]|\\s` : "\\s";
+  const withConnector =
+    dialect.connector &&
+    line.match(
+      new RegExp(`^((?:${guide})*?)(${dialect.connector.source})\\s*(.*)$`)
+    );
+  if (withConnector) {
+    return {
+      prefix: withConnector[1],
+      connector: withConnector[2],
+      text: withConnector[3],
+    };
+  }
+
+  const prefix = line.match(new RegExp(`^(?:${guide})*`))[0];
+  return { prefix, connector: "", text: line.slice(prefix.length) };
+}
+
+/**
+ * Escapes a string so it can be used literally inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Extracts the name and comment from the text of a Markdown list item
+ * Names may be wrapped in `code` or **bold**, and descriptions may follow
+ * a "—", "-", ":" or "#" separator
+ * @param {string} text - List item text, without the bullet
+ * @returns {Object} - Object with name and comment
+ */
+function extractMarkdownNameAndComment(text) {
+  const trimmed = text.trim();
+  let name;
+  let rest;
+
+  const wrapped = trimmed.match(/^(`+|\*\*|__)(.+?)\1(.*)$/);
+  const separated = trimmed.match(
+    /^(.+?)(?:\s*#|\s+-{1,2}\s|\s*[—–]|:\s)(.*)$/
+  );
+  if (wrapped) {
+    name = wrapped[2];
+    rest = wrapped[3];
+  } else if (separated) {
+    name = separated[1];
+    rest = separated[2];
+  } else {
+    name = trimmed;
+    rest = "";
+  }
+
+  return {
+    ...splitSymlinkTarget(name.replace(/`/g, "").trim()),
+    comment: rest.replace(/^\s*(?:#|-{1,2}|[—–:])?\s*/, "").trim(),
+  };
+}
+
+/**
+ * Splits the target off a symlink written as "name -> target" (as printed by tree -l)
+ * @param {string} name - Entry name
+ * @returns {{name: string, target?: string}} - Name and, for symlinks, the target
+ */
+function splitSymlinkTarget(name) {
+  const arrow = name.match(/^(.+?)\s+->\s+(.+)$/);
+  if (!arrow) return { name };
+  return { name: arrow[1].replace(/\/$/, ""), target: arrow[2] };
+}
+
 /**
  * Extracts the clean name and comment from a line in the structure
  * @param {string} line - Line to process
- * @returns {Object} - Object with name and comment
+ * @param {Object} dialect - Dialect definition (unicode by default)
+ * @returns {Object} - Object with name, comment and, for "name -> target" symlinks, target
  */
-export function extractNameAndComment(line) {
-  // Separate name and comment
-  const parts = line.split("#");
-  const rawName = parts[0].trim();
-  const comment = parts.length > 1 ? parts[1].trim() : "";
+export function extractNameAndComment(line, dialect = TREE_DIALECTS.unicode) {
+  if (dialect.inlineMarkup) {
+    return extractMarkdownNameAndComment(splitTreeLine(line, dialect).text);
+  }
+
+  // Separate name and comment at the first "#" that starts a word, so that names such as
+  // "file#1.txt" stay whole; the comment may contain more of them
+  const separator = line.search(/(?:^|\s)#/);
+  const hash = separator === -1 ? -1 : line.indexOf("#", separator);
+  const comment = hash === -1 ? "" : line.slice(hash + 1).trim();
+  const namePart = hash === -1 ? line : line.slice(0, hash);
 
   // Clean the name (remove ASCII tree characters)
-  const cleanName = rawName.replace(/^[\s│]*[├└]──\s*/, "").trim();
+  const cleanName = splitTreeLine(namePart, dialect).text.trim();
+
+  return { ...splitSymlinkTarget(cleanName), comment };
+}
+
+// Indentation width assumed when it can't be inferred from the tree
+const DEFAULT_INDENT_WIDTH = 4;
+
+/**
+ * Calculates the column at which an entry starts: its connector, or its name if it has none
+ * @param {string} line - Line to analyze
+ * @param {Object} dialect - Dialect definition (unicode by default)
+ * @param {number} indentWidth - Columns per indentation level (tabs expand to this width)
+ * @returns {number} - Column of the entry
+ */
+export function calculateEntryColumn(
+  line,
+  dialect = TREE_DIALECTS.unicode,
+  indentWidth = DEFAULT_INDENT_WIDTH
+) {
+  const { prefix, connector } = splitTreeLine(line, dialect);
+  const column = prefix.replace(/\t/g, " ".repeat(indentWidth)).length;
+
+  // Files without connector are aligned one level past their siblings' connectors
+  if (dialect.filesWithoutConnector && !connector) {
+    return Math.max(0, column - indentWidth);
+  }
+
+  return column;
+}
 
-  return { name: cleanName, comment };
+/**
+ * Infers the indentation width of a tree from the columns of its entries
+ * The most frequent step between an entry and a deeper entry right after it wins
+ * @param {Array<number>} columns - Entry columns in document order
+ * @returns {number} - Columns per indentation level
+ */
+export function inferIndentWidth(columns) {
+  const stepCounts = new Map();
+  for (let i = 1; i < columns.length; i++) {
+    const step = columns[i] - columns[i - 1];
+    if (step > 0) stepCounts.set(step, (stepCounts.get(step) || 0) + 1);
+  }
+
+  if (stepCounts.size === 0) return DEFAULT_INDENT_WIDTH;
+
+  // Prefer the narrower step on ties so a single jump of two levels doesn't win
+  const [[width]] = [...stepCounts.entries()].sort(
+    ([stepA, countA], [stepB, countB]) => countB - countA || stepA - stepB
+  );
+  return width;
 }
 
 /**
- * Calculates the indentation level based on ASCII tree characters
+ * Calculates the indentation level from the column at which the entry starts
  * @param {string} line - Line to analyze
+ * @param {Object} dialect - Dialect definition (unicode by default)
+ * @param {number} indentWidth - Columns per indentation level (4 by default)
  * @returns {number} - Indentation level
  */
-export function calculateIndentationLevel(line) {
-  // Count │ characters to determine the level
-  const matches = line.match(/│/g);
-  return matches ? matches.length : 0;
+export function calculateIndentationLevel(
+  line,
+  dialect = TREE_DIALECTS.unicode,
+  indentWidth = DEFAULT_INDENT_WIDTH
+) {
+  return Math.round(
+    calculateEntryColumn(line, dialect, indentWidth) / indentWidth
+  );
 }
 
 /**
  * Parses the hierarchical structure of a file in ASCII tree format
  * @param {string} content - File content
- * @returns {Object} - Parsed structure with paths and comments
+ * @param {Object} options - Additional options
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @returns {Object} - Parsed structure with paths, comments, the source line number of each path,
+ *   the targets of "name -> target" symlinks by path and diagnostics
+ *   ({line, column, severity, message, source}) for the problems found
  */
-export function parseTreeStructure(content) {
-  const lines = content.split("\n").filter((line) => line.trim());
-  if (lines.length === 0) return { paths: [], comments: {} };
+export function parseTreeStructure(content, options = {}) {
+  const numberedLines = content
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() && !isSummaryLine(line));
+  if (numberedLines.length === 0) {
+    return { paths: [], comments: {}, lines: {}, links: {}, diagnostics: [] };
+  }
 
-  // Get the root
-  const { name: rootName, comment: rootComment } = extractNameAndComment(
-    lines[0]
+  const dialect = resolveDialect(
+    options.dialect,
+    numberedLines.map(({ line }) => line)
+  );
+
+  const diagnostics = [];
+  const report = (severity, entry, message) => {
+    diagnostics.push({
+      line: entry.number,
+      column: entry.column,
+      severity,
+      message,
+      source: entry.line,
+    });
+  };
+
+  // Collect the entries, skipping lines that only contain guides
+  let entries = [];
+  for (const { line, number } of numberedLines) {
+    const { name, comment, target } = extractNameAndComment(line, dialect);
+    const { connector, text } = splitTreeLine(line, dialect);
+    const entry = {
+      line,
+      number,
+      name,
+      comment,
+      target,
+      column: line.length - text.length + 1,
+      hasConnector: Boolean(connector),
+    };
+
+    if (!name) {
+      if (connector) report("warning", entry, "Entry has no name");
+      continue;
+    }
+    // When files have no connector, entries with one are directories, even empty ones
+    if (dialect.filesWithoutConnector && connector && !name.endsWith("/")) {
+      entry.name += "/";
+    }
+    entries.push(entry);
+  }
+
+  // Bullet lists often come with prose around them: lines without a bullet are skipped,
+  // except a leading "name/" line, which is the root; those between bullets are reported
+  if (dialect.inlineMarkup) {
+    const bullets = entries.filter((entry) => entry.hasConnector);
+    const first = entries.indexOf(bullets[0]);
+    const last = entries.lastIndexOf(bullets[bullets.length - 1]);
+    entries = entries.filter((entry, index) => {
+      if (entry.hasConnector) return true;
+      if (index === 0 && /^\S+\/$/.test(entry.name)) return true;
+      if (index > first && index < last) {
+        report("warning", entry, "Line without a bullet is ignored");
+      }
+      return false;
+    });
+  }
+  if (entries.length === 0) {
+    return { paths: [], comments: {}, lines: {}, links: {}, diagnostics };
+  }
+
+  // The first line is the root unless it's already an entry with a connector;
+  // outlines have no root line, their top-level entries are the least indented
+  const hasRootLine = Boolean(dialect.connector) && !entries[0].hasConnector;
+
+  // Depth comes from the column of each entry, relative to the shallowest one,
+  // so blank guides below a last child count the same as │ guides
+  const children = entries.slice(hasRootLine ? 1 : 0);
+  const indentWidth = inferIndentWidth(
+    children
+      .filter((entry) => entry.hasConnector || !dialect.connector)
+      .map((entry) => calculateEntryColumn(entry.line, dialect))
+  );
+  const columns = children.map((entry) =>
+    calculateEntryColumn(entry.line, dialect, indentWidth)
   );
+  const baseColumn = Math.min(...columns);
+  children.forEach((entry, index) => {
+    const offset = columns[index] - baseColumn;
+    entry.level = Math.round(offset / indentWidth);
+    if (offset % indentWidth !== 0) {
+      report(
+        "warning",
+        entry,
+        `Inconsistent indentation: ${offset} columns is not a multiple of the ${indentWidth}-column indent`
+      );
+    }
+  });
+
+  // An entry followed by deeper entries is a directory, even without a trailing "/"
+  entries.forEach((entry, index) => {
+    const next = entries[index + 1];
+    const isRoot = index === 0 && hasRootLine;
+    const hasChildren = next && (isRoot || next.level > entry.level);
+    if (hasChildren && !entry.name.endsWith("/")) {
+      // Names with an extension are most likely files indented by mistake
+      if (/[^.]\.[^./]+$/.test(entry.name)) {
+        report(
+          "warning",
+          entry,
+          `"${entry.name}" looks like a file but has children; it is treated as a directory`
+        );
+      }
+      entry.name += "/";
+    }
+  });
 
   // Structures to store the result
   const paths = []; // List of complete paths
   const comments = {}; // Map of comments by path
+  const lines = {}; // Map of source line numbers by path
+  const links = {}; // Map of symlink targets by path
 
-  // If there's a root name, add it
-  if (rootName) {
-    paths.push(rootName);
-    if (rootComment) {
-      comments[rootName] = rootComment;
+  // Get the root
+  let rootName = "";
+  if (hasRootLine) {
+    const root = entries.shift();
+    if (!CURRENT_DIRECTORY_ROOT.test(root.name.replace(/\/$/, ""))) {
+      rootName = root.name;
+      paths.push(rootName);
+      lines[rootName] = root.number;
+      if (root.target) links[rootName] = root.target;
+      if (root.comment) {
+        comments[rootName] = root.comment;
+      }
     }
   }
 
   // Stack to track parents at each level
   const parentStack = [rootName];
 
-  // Process lines starting from the second
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i];
-    if (!line.trim()) continue;
-
-    // Get the indentation level
-    const level = calculateIndentationLevel(line);
-
-    // Extract name and comment
-    const { name, comment } = extractNameAndComment(line);
-    if (!name) continue;
+  for (const entry of entries) {
+    const { name, comment, target, level, number } = entry;
 
     // Adjust the parent stack based on level
     // If we're deeper than the current stack, keep the current parent
@@ -113,8 +664,45 @@ export function parseTreeStructure(content) {
     const parentPath = parentStack[parentStack.length - 1] || "";
     const fullPath = parentPath + name;
 
+    if (level > parentStack.length - 1) {
+      report(
+        "warning",
+        entry,
+        `"${name}" is indented more than one level deeper than its parent`
+      );
+    }
+
+    // Keep the first occurrence of a duplicate entry
+    if (lines[fullPath] !== undefined) {
+      report(
+        "warning",
+        entry,
+        `Duplicate entry "${fullPath}" (first defined on line ${lines[fullPath]})`
+      );
+      if (comment && !comments[fullPath]) comments[fullPath] = comment;
+      if (name.endsWith("/")) parentStack.push(fullPath);
+      continue;
+    }
+
+    // A name can't be both a file and a directory
+    const counterpart = name.endsWith("/")
+      ? fullPath.slice(0, -1)
+      : `${fullPath}/`;
+    if (lines[counterpart] !== undefined) {
+      report(
+        "error",
+        entry,
+        `"${fullPath.replace(
+          /\/$/,
+          ""
+        )}" is both a file and a directory (see line ${lines[counterpart]})`
+      );
+    }
+
     // Save the full path
     paths.push(fullPath);
+    lines[fullPath] = number;
+    if (target) links[fullPath] = target;
 
     // If it's a directory, update the stack for children
     if (name.endsWith("/")) {
@@ -127,7 +715,25 @@ export function parseTreeStructure(content) {
     }
   }
 
-  return { paths, comments };
+  diagnostics.sort((a, b) => a.line - b.line);
+  return { paths, comments, lines, links, diagnostics };
+}
+
+/**
+ * Formats a parse diagnostic with the offending source line and a caret under its column
+ * Diagnostics without a line (from JSON or YAML manifests) are formatted on one line
+ * @param {Object} diagnostic - Diagnostic returned by parseTreeStructure
+ * @returns {string}
+ */
+export function formatDiagnostic({ line, column, severity, message, source }) {
+  const icon = severity === "error" ? "❌" : "⚠️ ";
+  if (!line) return `${icon} ${severity}: ${message}`;
+  const gutter = String(line).padStart(5);
+  return [
+    `${icon} ${severity} at line ${line}, column ${column}: ${message}`,
+    `${gutter} | ${source}`,
+    `${" ".repeat(gutter.length)} | ${" ".repeat(column - 1)}^`,
+  ].join("\n");
 }
 
 /**
@@ -149,9 +755,11 @@ export function separateDirectoriesAndFiles(paths) {
       files.push(filePath);
 
       // Ensure all parent directories exist
+      // (stopping at "." for relative paths and at "/" for absolute ones)
       let currentDir = path.dirname(filePath);
       while (currentDir && currentDir !== ".") {
-        directories.add(currentDir + "/");
+        directories.add(currentDir.replace(/\/?$/, "/"));
+        if (path.dirname(currentDir) === currentDir) break;
         currentDir = path.dirname(currentDir);
       }
     }
@@ -167,181 +775,740 @@ export function separateDirectoriesAndFiles(paths) {
   return { directories: sortedDirectories, files };
 }
 
+// Structure formats that can be read
+export const STRUCTURE_FORMATS = ["tree", "json", "yaml"];
+
 /**
- * Parses a file containing a directory structure in ASCII tree format
- * @param {string} filePath - Path to the file containing the structure
- * @param {string} outputDir - Directory where to create the structure
- * @param {Object} options - Additional options
- * @param {boolean} options.skipConfirmation - If true, skips confirmation
- * @param {boolean} options.dryRun - If true, runs in simulation mode without creating files
- * @param {Object} options.logger - Object for logging (console by default)
- * @param {Object} options.fileSystem - File system to use (fs by default)
- * @returns {Promise<{success: boolean, error?: Error}>}
+ * Detects the format of a structure from its file extension or, failing that, its content
+ * @param {string|null} filePath - Path of the structure file (null for direct input)
+ * @param {string} text - Structure text
+ * @returns {string} - "tree", "json" or "yaml"
  */
-export async function parseDirectoryStructure(
-  filePath,
-  outputDir = ".",
-  options = {}
-) {
-  const logger = options.logger || console;
-  const fileSystem = options.fileSystem || fs;
-  const isDryRun = options.dryRun || false;
-
-  try {
-    // Read file content
-    logger.log(`Reading structure from: ${filePath}`);
-    const content = await fileSystem.readFile(filePath, "utf8");
-
-    logger.log("Analyzing structure...");
+export function detectStructureFormat(filePath, text = "") {
+  const extension = filePath ? path.extname(filePath).toLowerCase() : "";
+  if (extension === ".json") return "json";
+  if (extension === ".yaml" || extension === ".yml") return "yaml";
+  if (!extension && text.trimStart().startsWith("{")) return "json";
+  return "tree";
+}
 
-    // Parse the complete structure
-    const { paths, comments } = parseTreeStructure(content);
+/**
+ * Parses a structure from text that may be a whole Markdown document or chat response
+ * If the text contains fenced code blocks, the selected tree-like blocks are parsed.
+ * File contents can follow the tree as heredocs (cat > path << 'EOF') or as code blocks
+ * named by a label line, their info string or a comment on their first line.
+ * Directives in the comments (@mode, @link, @copy, @empty-dir) are returned apart, by path
+ * @param {string} text - Structure text, Markdown document, chat response or manifest
+ * @param {Object} options - Additional options
+ * @param {string} options.format - "tree", "json", "yaml" or "auto" (default, detected from the content)
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use: "best" (default), "all" or 1-based numbers
+ * @param {Object} options.logger - Object for logging the code blocks used (nothing is logged without it)
+ * @returns {Object} - Parsed structure with paths, comments, contents, directives, diagnostics
+ *   and, for trees, lines
+ */
+export function parseStructureText(text, options = {}) {
+  const { logger } = options;
+  const parseOptions = { dialect: options.dialect };
+
+  const format =
+    !options.format || options.format === "auto"
+      ? detectStructureFormat(null, text)
+      : options.format;
+  if (!STRUCTURE_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown structure format "${format}" (expected one of: auto, ${STRUCTURE_FORMATS.join(
+        ", "
+      )})`
+    );
+  }
+  if (format !== "tree") {
+    return applyDirectives(parseManifest(text, format));
+  }
 
-    // Separate directories and files
-    const { directories, files } = separateDirectoriesAndFiles(paths);
+  // Take the file contents out of the text before looking for the tree
+  const heredocs = extractHeredocs(text);
+  const blocks = findCodeBlocks(heredocs.text).length
+    ? selectTreeBlocks(heredocs.text, options.block)
+    : [];
+  const contentBlocks = extractContentBlocks(
+    heredocs.text,
+    blocks.map((block) => block.index)
+  );
+  const sections = [...heredocs.sections, ...contentBlocks.sections];
 
-    // Check if there are directories or files
-    if (directories.length === 0 && files.length === 0) {
-      logger.log("No valid structure found in the file.");
-      return { success: false };
-    }
+  // Code blocks that are neither trees nor file contents (a chat reply with a snippet)
+  // leave prose around them, which isn't a tree either
+  if (blocks.length === 0 && findCodeBlocks(contentBlocks.text).length > 0) {
+    throw new Error("None of the code blocks of the text is a tree");
+  }
 
-    // Show summary
-    logger.log("\nSummary of the structure to create:");
-    logger.log(`- Directories: ${directories.length}`);
-    logger.log(`- Files: ${files.length}`);
-    logger.log(`- Destination directory: ${outputDir}\n`);
+  const structure =
+    blocks.length === 0
+      ? parseTreeStructure(contentBlocks.text, parseOptions)
+      : parseTreeBlocks(blocks, parseOptions, logger);
+
+  const { contents, diagnostics } = attachContents(sections, structure.paths);
+  return applyDirectives(
+    {
+      ...structure,
+      contents,
+      diagnostics: [...structure.diagnostics, ...diagnostics],
+    },
+    text.split(/\r?\n/)
+  );
+}
 
-    // Simulate creation to verify
-    logger.log("Structure that will be created:");
-    for (const dir of directories) {
-      logger.log(`  📁 ${dir}${comments[dir] ? ` (${comments[dir]})` : ""}`);
-    }
-    for (const file of files) {
-      logger.log(`  📄 ${file}${comments[file] ? ` (${comments[file]})` : ""}`);
+/**
+ * Parses and merges the tree-like code blocks selected from a document
+ * @param {Array<Object>} blocks - Blocks returned by selectTreeBlocks
+ * @param {Object} parseOptions - Options for parseTreeStructure
+ * @param {Object} logger - Object for logging the blocks used (optional)
+ * @returns {Object} - Parsed structure with paths, comments, lines, links and diagnostics
+ */
+function parseTreeBlocks(blocks, parseOptions, logger) {
+  const paths = [];
+  const comments = {};
+  const lines = {};
+  const links = {};
+  const diagnostics = [];
+  for (const block of blocks) {
+    logger?.log(
+      `Using code block ${block.index} (lines ${block.startLine}-${block.endLine})`
+    );
+
+    const parsed = parseTreeStructure(block.content, parseOptions);
+    for (const entryPath of parsed.paths) {
+      if (paths.includes(entryPath)) continue;
+      paths.push(entryPath);
+      // Line numbers refer to the whole text, not to the block
+      lines[entryPath] = parsed.lines[entryPath] + block.startLine - 1;
     }
-    logger.log();
-
-    // If it's a dry run, stop here
-    if (isDryRun) {
-      logger.log("DRY RUN: No files or directories were created.");
-      return { success: true };
+    Object.assign(comments, parsed.comments);
+    Object.assign(links, parsed.links);
+    for (const diagnostic of parsed.diagnostics) {
+      diagnostics.push({
+        ...diagnostic,
+        line: diagnostic.line + block.startLine - 1,
+      });
     }
+  }
 
-    // Request confirmation if necessary
-    let shouldProceed = options.skipConfirmation;
-    if (!shouldProceed) {
-      shouldProceed = await confirmAction(
-        "Do you want to create this structure?"
-      );
-    }
+  return { paths, comments, lines, links, diagnostics };
+}
 
-    if (!shouldProceed) {
-      logger.log("Operation cancelled.");
-      return { success: false };
+/**
+ * Prints the problems found while parsing a structure
+ * Errors always abort; warnings only in strict mode
+ * @param {Array<Object>} diagnostics - Diagnostics of the parsed structure
+ * @param {string} source - Where the structure comes from ("file" or "text")
+ * @param {boolean} strict - If true, warnings abort as well
+ * @param {Object} logger - Object for logging
+ * @returns {Object|null} - Failed result to return, or null if there is nothing to abort for
+ */
+function reportDiagnostics(diagnostics, source, strict, logger) {
+  if (diagnostics.length > 0) {
+    logger.log(`\nProblems found in the ${source}:`);
+    for (const diagnostic of diagnostics) {
+      logger.log(formatDiagnostic(diagnostic));
     }
+  }
 
-    logger.log("Creating structure...");
+  const errorCount = diagnostics.filter(
+    (diagnostic) => diagnostic.severity === "error"
+  ).length;
+  if (errorCount === 0 && !(strict && diagnostics.length > 0)) return null;
 
-    // Create directories
-    for (const dir of directories) {
-      const dirPath = path.join(outputDir, dir);
-      await fileSystem.mkdir(dirPath, { recursive: true });
-      const commentMsg = comments[dir] ? ` (${comments[dir]})` : "";
-      logger.log(`✅ Directory created: ${dirPath}${commentMsg}`);
-    }
+  const error = new Error(
+    errorCount > 0
+      ? `${errorCount} error(s) found in the structure`
+      : `${diagnostics.length} warning(s) found in the structure (strict mode)`
+  );
+  logger.error(`❌ ${error.message}`);
+  return { success: false, reason: "parse", error };
+}
 
-    // Create files
-    for (const file of files) {
-      const filePath = path.join(outputDir, file);
+// Policies for files of the structure that already exist in the output directory
+export const CONFLICT_POLICIES = ["skip", "overwrite", "backup", "fail", "ask"];
 
-      // Ensure parent directory exists
-      const parentDir = path.dirname(filePath);
-      await fileSystem.mkdir(parentDir, { recursive: true });
+/**
+ * Checks whether a path exists
+ * File systems without stat (such as minimal mocks) are treated as empty
+ * @param {Object} fileSystem - File system to use
+ * @param {string} targetPath - Path to check
+ * @param {boolean} followLinks - If false, a symlink exists even if its target doesn't
+ *   (when the file system has lstat)
+ * @returns {Promise<boolean>}
+ */
+async function pathExists(fileSystem, targetPath, followLinks = true) {
+  if (typeof fileSystem.stat !== "function") return false;
 
-      // Create empty file
-      await fileSystem.writeFile(filePath, "");
-      const commentMsg = comments[file] ? ` (${comments[file]})` : "";
-      logger.log(`📄 File created: ${filePath}${commentMsg}`);
+  try {
+    if (followLinks || typeof fileSystem.lstat !== "function") {
+      await fileSystem.stat(targetPath);
+    } else {
+      await fileSystem.lstat(targetPath);
     }
-
-    logger.log(`\n✨ Structure successfully created in ${outputDir}`);
-    return { success: true };
+    return true;
   } catch (error) {
-    logger.error("\n❌ Error:", error.message);
-    logger.error(error.stack);
-    return { success: false, error };
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return false;
+    throw error;
   }
 }
 
 /**
- * Parses a directory structure directly from a text string
- * @param {string} structureText - String containing the structure in ASCII tree format
- * @param {string} outputDir - Directory where to create the structure
- * @param {Object} options - Additional options
- * @param {boolean} options.skipConfirmation - If true, skips confirmation
- * @param {boolean} options.dryRun - If true, runs in simulation mode without creating files
- * @param {Object} options.logger - Object for logging (console by default)
+ * Moves an existing file aside to "<file>.bak" (or "<file>.bak.1", ... if taken)
+ * @param {Object} fileSystem - File system to use
+ * @param {string} filePath - File to back up
+ * @returns {Promise<string>} - Path of the backup
+ */
+async function backupFile(fileSystem, filePath) {
+  let backupPath = `${filePath}.bak`;
+  for (let n = 1; await pathExists(fileSystem, backupPath); n++) {
+    backupPath = `${filePath}.bak.${n}`;
+  }
+
+  await fileSystem.rename(filePath, backupPath);
+  return backupPath;
+}
+
+/**
+ * Creates a directory and its missing parents, recording in the journal the ones that didn't exist
+ * @param {Object} fileSystem - File system to use
+ * @param {string} dirPath - Directory to create
+ * @param {Array<Object>} journal - Changes made by the current run, in order
+ * @returns {Promise<void>}
+ */
+async function makeDirectory(fileSystem, dirPath, journal) {
+  const missing = [];
+  for (
+    let current = dirPath;
+    !(await pathExists(fileSystem, current));
+    current = path.dirname(current)
+  ) {
+    missing.unshift(current);
+    if (path.dirname(current) === current) break;
+  }
+
+  // Record before creating: a failing recursive mkdir may leave some parents behind
+  const createdAt = new Date().toISOString();
+  for (const dir of missing) {
+    journal.push({ type: "directory", path: dir, createdAt });
+  }
+  await fileSystem.mkdir(dirPath, { recursive: true });
+}
+
+/**
+ * Undoes the changes recorded in the journal, newest first
+ * Created files and directories are removed and backed up files are moved back;
+ * items that existed before the run are never removed
+ * @param {Object} fileSystem - File system to use
+ * @param {Array<Object>} journal - Changes made by the current run, in order
+ * @param {Object} logger - Object for logging
+ * @returns {Promise<void>}
+ */
+async function rollback(fileSystem, journal, logger) {
+  logger.log(`\n↩️  Rolling back ${journal.length} change(s)...`);
+
+  for (const change of [...journal].reverse()) {
+    try {
+      if (change.type === "file") {
+        await fileSystem.unlink(change.path);
+        logger.log(`🗑️  File removed: ${change.path}`);
+      } else if (change.type === "symlink") {
+        await fileSystem.unlink(change.path);
+        logger.log(`🗑️  Symlink removed: ${change.path}`);
+      } else if (change.type === "directory") {
+        await fileSystem.rmdir(change.path);
+        logger.log(`🗑️  Directory removed: ${change.path}`);
+      } else if (change.type === "backup") {
+        await fileSystem.rename(change.backupPath, change.path);
+        logger.log(`♻️  File restored: ${change.path}`);
+      }
+    } catch (error) {
+      // Nothing to undo if the change never happened
+      if (error.code === "ENOENT") continue;
+      logger.error(`❌ Could not roll back ${change.path}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Finds the deepest part of a path that exists, starting from the path itself
+ * @param {Object} fileSystem - File system to use
+ * @param {string} targetPath - Absolute path
+ * @param {string} stopPath - Absolute path where the search stops
+ * @returns {Promise<string|null>} - Deepest existing path, or null if none exists below stopPath
+ */
+async function findDeepestExisting(fileSystem, targetPath, stopPath) {
+  let current = targetPath;
+  while (current !== stopPath && current !== path.dirname(current)) {
+    if (await pathExists(fileSystem, current)) return current;
+    current = path.dirname(current);
+  }
+  return null;
+}
+
+/**
+ * Finds the paths of a structure that would be created outside the output directory:
+ * absolute paths, paths with ".." segments, paths below a symlink that points outside,
+ * and symlinks of the structure whose target is outside
+ * @param {Array<string>} entries - Paths relative to the output directory
+ * @param {string} outputDir - Directory where the structure will be created
+ * @param {Object} options - Additional options
  * @param {Object} options.fileSystem - File system to use (fs by default)
- * @returns {Promise<{success: boolean, error?: Error}>}
+ * @param {Object} options.links - Targets of the symlinks to create, by entry path
+ * @returns {Promise<Array<{path: string, reason: string}>>} - Offending paths with the reason
  */
-export async function parseDirectoryFromText(
-  structureText,
-  outputDir = ".",
-  options = {}
-) {
+export async function findUnsafePaths(entries, outputDir, options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const outputRoot = path.resolve(outputDir);
+  const canResolveLinks =
+    typeof fileSystem.realpath === "function" &&
+    (await pathExists(fileSystem, outputRoot));
+  const realOutputRoot = canResolveLinks
+    ? await fileSystem.realpath(outputRoot)
+    : outputRoot;
+
+  const unsafe = [];
+  for (const entry of entries) {
+    if (path.isAbsolute(entry) || /^(?:[\\/]|[A-Za-z]:)/.test(entry)) {
+      unsafe.push({ path: entry, reason: "absolute path" });
+      continue;
+    }
+    if (entry.split(/[\\/]/).includes("..")) {
+      unsafe.push({ path: entry, reason: "path traversal (..)" });
+      continue;
+    }
+
+    // Symlink targets are relative to the directory of the link
+    const target = options.links?.[entry];
+    if (target) {
+      const resolved = path.posix.normalize(
+        path.posix.join(path.posix.dirname(entry), target)
+      );
+      if (
+        path.isAbsolute(target) ||
+        resolved === ".." ||
+        resolved.startsWith("../")
+      ) {
+        unsafe.push({
+          path: entry,
+          reason: `symlink target ${target} is outside the output directory`,
+        });
+        continue;
+      }
+    }
+    if (!canResolveLinks) continue;
+
+    // A symlink anywhere along the path shows up in the real path of its deepest existing part
+    const existing = await findDeepestExisting(
+      fileSystem,
+      path.join(outputRoot, entry),
+      outputRoot
+    );
+    if (!existing) continue;
+
+    const realPath = await fileSystem.realpath(existing);
+    const relative = path.relative(realOutputRoot, realPath);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      unsafe.push({
+        path: entry,
+        reason: `${path.relative(
+          outputRoot,
+          existing
+        )} is a symlink to ${realPath}, outside the output directory`,
+      });
+    }
+  }
+
+  return unsafe;
+}
+
+/**
+ * Tells why a @copy source can't be read: absolute paths, paths that leave the source
+ * directory with "..", and existing paths that a symlink takes outside of it
+ * @param {string} source - Source of the @copy directive
+ * @param {string} sourceRoot - Absolute directory the sources are relative to
+ * @param {Object} fileSystem - File system to use
+ * @returns {Promise<string|null>} - Reason, or null when the source is inside sourceRoot
+ */
+async function findUnsafeSource(source, sourceRoot, fileSystem) {
+  if (path.isAbsolute(source) || /^(?:[\\/]|[A-Za-z]:)/.test(source)) {
+    return "absolute path";
+  }
+  const isOutside = (root, target) => {
+    const relative = path.relative(root, target);
+    return (
+      relative === ".." ||
+      relative.startsWith(`..${path.sep}`) ||
+      path.isAbsolute(relative)
+    );
+  };
+  const resolved = path.resolve(sourceRoot, source);
+  if (isOutside(sourceRoot, resolved)) return "path traversal (..)";
+
+  if (
+    typeof fileSystem.realpath !== "function" ||
+    !(await pathExists(fileSystem, resolved))
+  ) {
+    return null;
+  }
+  const realRoot = await fileSystem.realpath(sourceRoot);
+  const realPath = await fileSystem.realpath(resolved);
+  return isOutside(realRoot, realPath)
+    ? `a symlink leads to ${realPath}`
+    : null;
+}
+
+/**
+ * Creates the structure described by a text after showing a summary
+ * Failed runs tell why in reason: "parse" (invalid structure or options), "conflict"
+ * (existing files with the "fail" policy), "io" (file system error), "cancelled"
+ * (declined at the prompt) or "input" (a prompt was needed without interactive input)
+ * @param {string} content - Structure text
+ * @param {string} outputDir - Directory where to create the structure
+ * @param {Object} options - Options of parseDirectoryStructure/parseDirectoryFromText
+ * @param {string} source - Where the text comes from ("file" or "input"), for messages
+ * @returns {Promise<{success: boolean, reason?: string, error?: Error}>}
+ */
+async function createStructure(content, outputDir, options, source) {
   const logger = options.logger || console;
   const fileSystem = options.fileSystem || fs;
   const isDryRun = options.dryRun || false;
+  const confirm = options.confirm || confirmAction;
+  const onConflict = options.onConflict || "skip";
+  // Colour only goes to a terminal, unless NO_COLOR is set
+  const useColor =
+    options.color ??
+    (logger === console &&
+      Boolean(process.stdout.isTTY) &&
+      !process.env.NO_COLOR);
+  const contentProviders = options.empty
+    ? []
+    : options.contentProviders || DEFAULT_CONTENT_PROVIDERS;
+  const journal = []; // Changes made by this run, undone if it fails
 
   try {
-    logger.log("Analyzing structure from direct input...");
+    if (!CONFLICT_POLICIES.includes(onConflict)) {
+      throw new Error(
+        `Unknown conflict policy "${onConflict}" (expected one of: ${CONFLICT_POLICIES.join(
+          ", "
+        )})`
+      );
+    }
 
     // Parse the complete structure
-    const { paths, comments } = parseTreeStructure(structureText);
+    const {
+      paths,
+      comments,
+      contents,
+      directives = {},
+      lines = {},
+      diagnostics = [],
+    } = parseStructureText(content, {
+      format: options.format,
+      dialect: options.dialect,
+      block: options.block,
+      logger,
+    });
+
+    // Report the problems found while parsing
+    const invalid = reportDiagnostics(
+      diagnostics,
+      source,
+      options.strict,
+      logger
+    );
+    if (invalid) return invalid;
 
     // Separate directories and files
     const { directories, files } = separateDirectoriesAndFiles(paths);
+    const links = {}; // Targets of the symlinks (@link or "name -> target") by path
+    for (const [entry, { link }] of Object.entries(directives)) {
+      if (link) links[entry] = link;
+    }
 
     // Check if there are directories or files
     if (directories.length === 0 && files.length === 0) {
-      logger.log("No valid structure found in the input.");
-      return { success: false };
+      logger.log(`No valid structure found in the ${source}.`);
+      return { success: false, reason: "parse" };
+    }
+
+    // Describe commented directories in their README, adding one if the structure has none
+    if (options.commentHeaders) {
+      for (const dir of directories) {
+        if (!comments[dir] || directives[dir]?.emptyDir) continue;
+
+        const readme =
+          files.find(
+            (file) =>
+              file.startsWith(dir) &&
+              /^readme(?:\.md)?$/i.test(file.slice(dir.length))
+          ) || `${dir}README.md`;
+        if (!files.includes(readme)) files.push(readme);
+        if (contents[readme] === undefined) {
+          contents[readme] = formatDirectoryReadme(dir, comments[dir]);
+        }
+      }
     }
 
+    // Document the structure in a Markdown file created along with it
+    if (options.docsPath) {
+      const docsPath = options.docsPath.split(path.sep).join("/");
+      if (
+        path.isAbsolute(docsPath) ||
+        docsPath.split("/").includes("..") ||
+        docsPath.endsWith("/")
+      ) {
+        throw new Error(
+          `The documentation file must be a file inside the output directory: ${options.docsPath}`
+        );
+      }
+      contents[docsPath] = renderStructureDoc(paths, comments, { links });
+      if (!files.includes(docsPath)) files.push(docsPath);
+      const docsDirs = [];
+      for (
+        let docsDir = path.posix.dirname(docsPath);
+        docsDir !== ".";
+        docsDir = path.posix.dirname(docsDir)
+      ) {
+        docsDirs.unshift(`${docsDir}/`);
+      }
+      for (const docsDir of docsDirs) {
+        if (!directories.includes(docsDir)) directories.push(docsDir);
+      }
+    }
+
+    // Refuse paths that would be created outside the output directory
+    // (parent directories added by separateDirectoriesAndFiles are covered by their children)
+    const unsafePaths = await findUnsafePaths(paths, outputDir, {
+      fileSystem,
+      links,
+    });
+    if (unsafePaths.length > 0) {
+      logger.error(
+        "❌ The structure contains paths outside the output directory:"
+      );
+      for (const { path: unsafePath, reason } of unsafePaths) {
+        const lineMsg = lines[unsafePath] ? `line ${lines[unsafePath]}: ` : "";
+        logger.error(`  ${lineMsg}${unsafePath} (${reason})`);
+      }
+      return {
+        success: false,
+        reason: "parse",
+        error: new Error(
+          `${unsafePaths.length} path(s) would be created outside ${outputDir}`
+        ),
+      };
+    }
+
+    // Files copied with @copy are read relative to the structure file (or the current directory),
+    // and only from inside that directory: a structure from elsewhere must not read ~/.ssh
+    const sourceRoot = path.resolve(options.baseDir || ".");
+    const copySources = {};
+    const unsafeSources = [];
+    const missingSources = [];
+    for (const [entry, { copy }] of Object.entries(directives)) {
+      if (!copy) continue;
+      const unsafeReason = await findUnsafeSource(copy, sourceRoot, fileSystem);
+      if (unsafeReason) {
+        unsafeSources.push({ entry, copy, reason: unsafeReason });
+        continue;
+      }
+      copySources[entry] = path.resolve(sourceRoot, copy);
+      if (!(await pathExists(fileSystem, copySources[entry]))) {
+        missingSources.push(`${entry} (${copySources[entry]})`);
+      }
+    }
+    if (unsafeSources.length > 0) {
+      logger.error(`❌ The structure copies files from outside ${sourceRoot}:`);
+      for (const { entry, copy, reason } of unsafeSources) {
+        const lineMsg = lines[entry] ? `line ${lines[entry]}: ` : "";
+        logger.error(`  ${lineMsg}${entry} @copy ${copy} (${reason})`);
+      }
+      return {
+        success: false,
+        reason: "parse",
+        error: new Error(
+          `${unsafeSources.length} @copy source(s) outside ${sourceRoot}`
+        ),
+      };
+    }
+    if (missingSources.length > 0) {
+      const error = new Error(
+        `${
+          missingSources.length
+        } file(s) to copy not found: ${missingSources.join(", ")}`
+      );
+      logger.error(`❌ ${error.message}`);
+      return { success: false, reason: "io", error };
+    }
+
+    // Compare the structure with what already exists in the output directory
+    const plan = await planStructure(directories, files, outputDir, {
+      fileSystem,
+      links,
+    });
+    const existing = new Set(
+      plan.entries
+        .filter((entry) => entry.status === "exists")
+        .map((entry) => entry.path)
+    );
+    // Symlinks that already point to their target have nothing to change
+    const linked = new Set(
+      plan.entries.filter((entry) => entry.upToDate).map((entry) => entry.path)
+    );
+    const existingFiles = files.filter(
+      (file) => existing.has(file) && !linked.has(file)
+    );
+    const conflicts = plan.entries.filter(
+      (entry) => entry.status === "conflict"
+    );
+
+    // In sync mode, whatever the structure doesn't list is deleted
+    const prune = options.sync
+      ? await planPrune([...directories, ...files], outputDir, {
+          ignore: options.ignore,
+          force: options.force,
+          fileSystem,
+        })
+      : null;
+
     // Show summary
     logger.log("\nSummary of the structure to create:");
     logger.log(`- Directories: ${directories.length}`);
     logger.log(`- Files: ${files.length}`);
+    if (existingFiles.length > 0) {
+      logger.log(
+        `- Existing files: ${existingFiles.length} (policy: ${onConflict})`
+      );
+    }
+    logger.log(
+      `- Plan: ${formatPlanCounts(
+        prune
+          ? {
+              ...plan.counts,
+              untouched: undefined,
+              delete: prune.remove.length,
+            }
+          : plan.counts,
+        useColor
+      )}`
+    );
     logger.log(`- Destination directory: ${outputDir}\n`);
 
     // Simulate creation to verify
     logger.log("Structure that will be created:");
-    for (const dir of directories) {
-      logger.log(`  📁 ${dir}${comments[dir] ? ` (${comments[dir]})` : ""}`);
+    for (const { path: entry, type, status } of plan.entries) {
+      let icon = type === "directory" ? "📁" : "📄";
+      if (links[entry]) icon = "🔗";
+      let statusMsg = "";
+      if (status === "exists") statusMsg = " [exists]";
+      if (status === "conflict") {
+        statusMsg = ` [conflict: a ${
+          type === "directory" ? "file" : "directory"
+        } exists]`;
+      }
+      logger.log(
+        `  ${colorize(
+          `${icon} ${entry}${
+            comments[entry] ? ` (${comments[entry]})` : ""
+          }${describeDirectives(directives[entry])}${statusMsg}`,
+          STATUS_COLORS[status],
+          useColor
+        )}`
+      );
     }
-    for (const file of files) {
-      logger.log(`  📄 ${file}${comments[file] ? ` (${comments[file]})` : ""}`);
+    if (prune) {
+      if (prune.remove.length > 0) {
+        logger.log("\nWill be deleted:");
+        for (const { path: entry } of prune.remove) {
+          logger.log(`  ${colorize(`🗑️  ${entry}`, "red", useColor)}`);
+        }
+      }
+      for (const { path: entry, reason } of prune.keep) {
+        logger.log(`  ⏭️  ${entry} is kept: ${reason}`);
+      }
+      if (prune.keep.some(({ reason }) => reason === "not empty")) {
+        logger.log("  (use --force to delete files that aren't empty)");
+      }
+    } else if (plan.untouched.length > 0) {
+      logger.log("\nLeft untouched:");
+      for (const entry of plan.untouched) {
+        logger.log(
+          `  ${colorize(`· ${entry}`, STATUS_COLORS.untouched, useColor)}`
+        );
+      }
     }
     logger.log();
 
+    // A file can't replace a directory (or the other way around)
+    if (conflicts.length > 0) {
+      const error = new Error(
+        `${conflicts.length} entr${
+          conflicts.length === 1 ? "y conflicts" : "ies conflict"
+        } with existing ones of another type: ${conflicts
+          .map((entry) => entry.path)
+          .join(", ")}`
+      );
+      logger.error(`❌ ${error.message}`);
+      return { success: false, reason: "conflict", error };
+    }
+
+    // With the "fail" policy, any existing file aborts before creating anything
+    if (onConflict === "fail" && existingFiles.length > 0) {
+      const error = new Error(
+        `${existingFiles.length} file(s) already exist: ${existingFiles.join(
+          ", "
+        )}`
+      );
+      logger.error(`❌ ${error.message}`);
+      return { success: false, reason: "conflict", error };
+    }
+
     // If it's a dry run, stop here
     if (isDryRun) {
       logger.log("DRY RUN: No files or directories were created.");
       return { success: true };
     }
 
+    // Without interactive input, fail now rather than wait for an answer that never comes
+    const needsPrompt =
+      !options.skipConfirmation ||
+      (onConflict === "ask" && existingFiles.length > 0) ||
+      prune?.remove.length > 0;
+    // (--yes confirms neither the deletions of sync nor the files --on-conflict ask asks about,
+    // so it's no way out for them)
+    let hint;
+    if (prune?.remove.length > 0) {
+      hint =
+        "deletions can only be confirmed in a terminal, even with --yes; preview them with --dry-run";
+    } else if (onConflict === "ask" && existingFiles.length > 0) {
+      hint =
+        "--on-conflict ask needs a terminal, even with --yes; use --on-conflict skip, overwrite or backup";
+    }
+    const unavailable =
+      needsPrompt && checkPromptsAvailable(options, logger, hint);
+    if (unavailable) return unavailable;
+
     // Request confirmation if necessary
     let shouldProceed = options.skipConfirmation;
     if (!shouldProceed) {
-      shouldProceed = await confirmAction(
-        "Do you want to create this structure?"
+      shouldProceed = await confirm("Do you want to create this structure?");
+    }
+
+    // Deletions are always confirmed, even with skipConfirmation
+    if (shouldProceed && prune?.remove.length > 0) {
+      shouldProceed = await confirm(
+        `Delete the ${prune.remove.length} item(s) listed above?`,
+        false
       );
     }
 
     if (!shouldProceed) {
       logger.log("Operation cancelled.");
-      return { success: false };
+      return { success: false, reason: "cancelled" };
     }
 
     logger.log("Creating structure...");
@@ -349,23 +1516,147 @@ export async function parseDirectoryFromText(
     // Create directories
     for (const dir of directories) {
       const dirPath = path.join(outputDir, dir);
-      await fileSystem.mkdir(dirPath, { recursive: true });
       const commentMsg = comments[dir] ? ` (${comments[dir]})` : "";
+      if (existing.has(dir)) {
+        logger.log(`📁 Directory already exists: ${dirPath}${commentMsg}`);
+        continue;
+      }
+      await makeDirectory(fileSystem, dirPath, journal);
       logger.log(`✅ Directory created: ${dirPath}${commentMsg}`);
     }
 
+    // Permissions are applied once everything is created, so that read-only
+    // directories can still be filled
+    const modes = [];
+
     // Create files
     for (const file of files) {
       const filePath = path.join(outputDir, file);
+      const commentMsg = comments[file] ? ` (${comments[file]})` : "";
+
+      if (linked.has(file)) {
+        logger.log(
+          `🔗 Symlink already exists: ${filePath} -> ${links[file]}${commentMsg}`
+        );
+        continue;
+      }
+
+      // Apply the conflict policy to files that already exist
+      if (existing.has(file)) {
+        let policy = onConflict;
+        if (policy === "ask") {
+          const overwrite = await confirm(
+            `${filePath} already exists. Overwrite it?`,
+            false
+          );
+          policy = overwrite ? "overwrite" : "skip";
+        }
+
+        if (policy === "skip") {
+          logger.log(`⏭️  File skipped (already exists): ${filePath}`);
+          continue;
+        }
+        if (policy === "backup") {
+          const backupPath = await backupFile(fileSystem, filePath);
+          journal.push({
+            type: "backup",
+            path: filePath,
+            backupPath,
+            createdAt: new Date().toISOString(),
+          });
+          logger.log(`💾 Backup created: ${backupPath}`);
+        }
+      }
 
       // Ensure parent directory exists
       const parentDir = path.dirname(filePath);
-      await fileSystem.mkdir(parentDir, { recursive: true });
+      await makeDirectory(fileSystem, parentDir, journal);
+
+      // Create symlinks (@link) in place of the file, replacing what the policy left there
+      if (links[file]) {
+        if (await pathExists(fileSystem, filePath, false)) {
+          await fileSystem.unlink(filePath);
+        }
+        journal.push({
+          type: "symlink",
+          path: filePath,
+          target: links[file],
+          createdAt: new Date().toISOString(),
+        });
+        await fileSystem.symlink(links[file], filePath);
+        logger.log(
+          `🔗 Symlink created: ${filePath} -> ${links[file]}${commentMsg}`
+        );
+        continue;
+      }
 
-      // Create empty file
-      await fileSystem.writeFile(filePath, "");
-      const commentMsg = comments[file] ? ` (${comments[file]})` : "";
-      logger.log(`📄 File created: ${filePath}${commentMsg}`);
+      // Create the file with the content given by the structure or, failing that,
+      // the starter content of the providers
+      // (overwritten files existed before the run, so they are not recorded)
+      let fileContent = copySources[file]
+        ? await fileSystem.readFile(copySources[file])
+        : contents[file] ??
+          provideContent(
+            createFileContext(file, { paths, comments, contents, outputDir }),
+            contentProviders
+          );
+      if (
+        options.commentHeaders &&
+        comments[file] &&
+        typeof fileContent === "string"
+      ) {
+        fileContent = addHeaderComment(
+          path.basename(file),
+          comments[file],
+          fileContent
+        );
+      }
+      if (!(await pathExists(fileSystem, filePath))) {
+        journal.push({
+          type: "file",
+          path: filePath,
+          hash: hashContent(fileContent),
+          createdAt: new Date().toISOString(),
+        });
+      }
+      await fileSystem.writeFile(filePath, fileContent);
+      if (existing.has(file)) {
+        logger.log(`📝 File overwritten: ${filePath}${commentMsg}`);
+      } else {
+        logger.log(`📄 File created: ${filePath}${commentMsg}`);
+      }
+      if (directives[file]?.mode) modes.push(file);
+    }
+
+    // Delete what the structure doesn't list (deepest first, so directories are empty by then)
+    for (const { path: entry, type } of prune?.remove || []) {
+      const entryPath = path.join(outputDir, entry);
+      if (type === "directory") {
+        await fileSystem.rmdir(entryPath);
+      } else {
+        await fileSystem.unlink(entryPath);
+      }
+      logger.log(`🗑️  Deleted: ${entryPath}`);
+    }
+
+    for (const entry of directories.filter((dir) => directives[dir]?.mode)) {
+      if (!existing.has(entry)) modes.unshift(entry);
+    }
+    for (const entry of modes) {
+      const mode = directives[entry].mode;
+      await fileSystem.chmod(path.join(outputDir, entry), parseInt(mode, 8));
+      logger.log(`🔒 Mode ${mode} set: ${path.join(outputDir, entry)}`);
+    }
+
+    // Record what this run created so that it can be undone
+    const runManifest = createRunManifest(journal, outputDir);
+    if (options.record !== false && runManifest.items.length > 0) {
+      const manifestPath = path.join(outputDir, RUN_MANIFEST_FILE);
+      await fileSystem.writeFile(
+        manifestPath,
+        `${JSON.stringify(runManifest, null, 2)}\n`
+      );
+      logger.log(`🧾 Created items recorded in ${manifestPath}`);
     }
 
     logger.log(`\n✨ Structure successfully created in ${outputDir}`);
@@ -373,46 +1664,866 @@ export async function parseDirectoryFromText(
   } catch (error) {
     logger.error("\n❌ Error:", error.message);
     logger.error(error.stack);
-    return { success: false, error };
+    if (journal.length > 0) {
+      await rollback(fileSystem, journal, logger);
+    }
+    // System errors (ENOENT, EACCES, ...) come from the file system; the rest from the input
+    return { success: false, reason: error.code ? "io" : "parse", error };
+  }
+}
+
+/**
+ * Parses a file containing a directory structure in ASCII tree format
+ * @param {string} filePath - Path to the file containing the structure
+ * @param {string} outputDir - Directory where to create the structure
+ * @param {Object} options - Additional options
+ * @param {boolean} options.skipConfirmation - If true, skips confirmation
+ * @param {boolean} options.dryRun - If true, runs in simulation mode without creating files
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use when the file is a Markdown document
+ * @param {string} options.format - "tree", "json", "yaml" or "auto" (default, detected from the extension)
+ * @param {string} options.onConflict - What to do with files that already exist: "skip" (default),
+ *   "overwrite", "backup" (move to *.bak), "fail" or "ask" (per file)
+ * @param {boolean} options.strict - If true, parse warnings abort before creating anything
+ * @param {boolean} options.record - If false, the run isn't recorded for undo (true by default)
+ * @param {boolean} options.empty - If true, files without content in the structure are left empty
+ * @param {boolean} options.commentHeaders - If true, file comments are written as a header comment
+ *   and directory comments into a README in the directory
+ * @param {string} options.docsPath - If set, a Markdown file describing the structure is written
+ *   to this path, relative to the output directory
+ * @param {Array<Function>} options.contentProviders - Providers of starter content
+ *   (DEFAULT_CONTENT_PROVIDERS by default, see providers.js)
+ * @param {string} options.baseDir - Directory that @copy sources are relative to
+ *   (the directory of the structure file by default)
+ * @param {Function} options.confirm - Function used for confirmation prompts (confirmAction by default)
+ * @param {boolean} options.interactive - If false, runs that need a prompt fail instead of asking
+ * @param {boolean} options.color - If true, the plan is coloured (by default, when logging to a terminal)
+ * @param {boolean} options.sync - If true, entries of the output directory that aren't in the
+ *   structure are deleted after a confirmation that skipConfirmation doesn't skip
+ * @param {Array<string>} options.ignore - Gitignore-style patterns of entries that sync keeps
+ * @param {boolean} options.force - If true, sync also deletes files that aren't empty
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, reason?: string, error?: Error}>}
+ */
+export async function parseDirectoryStructure(
+  filePath,
+  outputDir = ".",
+  options = {}
+) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+
+  let content;
+  try {
+    // Read file content
+    logger.log(`Reading structure from: ${filePath}`);
+    content = await fileSystem.readFile(filePath, "utf8");
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: "io", error };
+  }
+
+  logger.log("Analyzing structure...");
+  const format =
+    !options.format || options.format === "auto"
+      ? detectStructureFormat(filePath, content)
+      : options.format;
+  return createStructure(
+    content,
+    outputDir,
+    { baseDir: path.dirname(filePath), ...options, format },
+    "file"
+  );
+}
+
+/**
+ * Parses a directory structure directly from a text string
+ * @param {string} structureText - String containing the structure in ASCII tree format
+ * @param {string} outputDir - Directory where to create the structure
+ * @param {Object} options - Additional options
+ * @param {boolean} options.skipConfirmation - If true, skips confirmation
+ * @param {boolean} options.dryRun - If true, runs in simulation mode without creating files
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use when the text is a chat response
+ * @param {string} options.format - "tree", "json", "yaml" or "auto" (default, detected from the content)
+ * @param {string} options.onConflict - What to do with files that already exist: "skip" (default),
+ *   "overwrite", "backup" (move to *.bak), "fail" or "ask" (per file)
+ * @param {boolean} options.strict - If true, parse warnings abort before creating anything
+ * @param {boolean} options.record - If false, the run isn't recorded for undo (true by default)
+ * @param {boolean} options.empty - If true, files without content in the structure are left empty
+ * @param {boolean} options.commentHeaders - If true, file comments are written as a header comment
+ *   and directory comments into a README in the directory
+ * @param {string} options.docsPath - If set, a Markdown file describing the structure is written
+ *   to this path, relative to the output directory
+ * @param {Array<Function>} options.contentProviders - Providers of starter content
+ *   (DEFAULT_CONTENT_PROVIDERS by default, see providers.js)
+ * @param {string} options.baseDir - Directory that @copy sources are relative to
+ *   (the current directory by default)
+ * @param {Function} options.confirm - Function used for confirmation prompts (confirmAction by default)
+ * @param {boolean} options.interactive - If false, runs that need a prompt fail instead of asking
+ * @param {boolean} options.color - If true, the plan is coloured (by default, when logging to a terminal)
+ * @param {boolean} options.sync - If true, entries of the output directory that aren't in the
+ *   structure are deleted after a confirmation that skipConfirmation doesn't skip
+ * @param {Array<string>} options.ignore - Gitignore-style patterns of entries that sync keeps
+ * @param {boolean} options.force - If true, sync also deletes files that aren't empty
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, reason?: string, error?: Error}>}
+ */
+export async function parseDirectoryFromText(
+  structureText,
+  outputDir = ".",
+  options = {}
+) {
+  const logger = options.logger || console;
+
+  logger.log("Analyzing structure from direct input...");
+  return createStructure(structureText, outputDir, options, "input");
+}
+
+/**
+ * Scans an existing directory and prints it as an ASCII tree
+ * @param {string} dirPath - Directory to scan
+ * @param {Object} options - Additional options
+ * @param {number} options.depth - Maximum depth to descend
+ * @param {boolean} options.gitignore - If false, .gitignore files are not honoured
+ * @param {string} options.commentsFile - Tree file whose comments are added to the output
+ * @param {string} options.dialect - Tree dialect of the comments file ("auto" by default)
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, text?: string, reason?: string, error?: Error}>}
+ */
+export async function scanDirectoryStructure(dirPath = ".", options = {}) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+
+  try {
+    let comments = {};
+    if (options.commentsFile) {
+      const content = await fileSystem.readFile(options.commentsFile, "utf8");
+      const parsed = parseTreeStructure(content, {
+        dialect: options.dialect,
+      });
+      const rootName = `${path.basename(path.resolve(dirPath))}/`;
+      comments = rebaseComments(parsed.comments, parsed.paths[0], rootName);
+    }
+
+    const { text } = await scanDirectory(dirPath, {
+      depth: options.depth,
+      gitignore: options.gitignore,
+      comments,
+      fileSystem,
+    });
+
+    logger.log(text);
+    return { success: true, text };
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: error.code ? "io" : "parse", error };
+  }
+}
+
+/**
+ * Moves comments keyed under one root directory to another root directory
+ * @param {Object} comments - Map of comments by path
+ * @param {string} fromRoot - Root path the comments were written for
+ * @param {string} toRoot - Root path of the scanned directory
+ * @returns {Object} - Map of comments by rebased path
+ */
+function rebaseComments(comments, fromRoot, toRoot) {
+  if (!fromRoot || !fromRoot.endsWith("/") || fromRoot === toRoot) {
+    return comments;
+  }
+
+  const rebased = {};
+  for (const [entryPath, comment] of Object.entries(comments)) {
+    const key = entryPath.startsWith(fromRoot)
+      ? toRoot + entryPath.slice(fromRoot.length)
+      : entryPath;
+    rebased[key] = comment;
+  }
+  return rebased;
+}
+
+/**
+ * Removes the items created by the last run in an output directory
+ * Files modified since the run and directories that still hold other items are kept
+ * @param {string} outputDir - Output directory of the run
+ * @param {Object} options - Additional options
+ * @param {boolean} options.skipConfirmation - If true, skips confirmation
+ * @param {boolean} options.dryRun - If true, only shows what would be removed
+ * @param {Function} options.confirm - Function used for confirmation prompts (confirmAction by default)
+ * @param {boolean} options.interactive - If false, runs that need a prompt fail instead of asking
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, reason?: string, error?: Error}>}
+ */
+export async function undoLastRun(outputDir = ".", options = {}) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+  const confirm = options.confirm || confirmAction;
+  const manifestPath = path.join(outputDir, RUN_MANIFEST_FILE);
+
+  try {
+    const manifest = await readRunManifest(outputDir, fileSystem);
+    if (!manifest) {
+      logger.log(`No recorded run to undo in ${outputDir}.`);
+      return { success: false };
+    }
+
+    const steps = await planUndo(manifest, outputDir, fileSystem);
+    const changes = steps.filter(
+      (step) => step.action === "remove" || step.action === "restore"
+    );
+    const kept = steps.filter((step) => step.action === "keep");
+
+    // Show summary
+    logger.log(`\nUndoing the run of ${manifest.createdAt}:`);
+    for (const { item, action, targetPath } of changes) {
+      const icon = { directory: "📁", symlink: "🔗" }[item.type] || "📄";
+      const restoreMsg = action === "restore" ? " (restore backup)" : "";
+      logger.log(`  ${icon} ${targetPath}${restoreMsg}`);
+    }
+    for (const { targetPath, reason } of kept) {
+      logger.log(`  ⏭️  ${targetPath} is kept: ${reason}`);
+    }
+    logger.log();
+
+    if (options.dryRun) {
+      logger.log("DRY RUN: Nothing was removed.");
+      return { success: true };
+    }
+
+    if (changes.length > 0 && !options.skipConfirmation) {
+      const unavailable = checkPromptsAvailable(options, logger);
+      if (unavailable) return unavailable;
+
+      const shouldProceed = await confirm(
+        `Do you want to undo these ${changes.length} change(s)?`
+      );
+      if (!shouldProceed) {
+        logger.log("Operation cancelled.");
+        return { success: false, reason: "cancelled" };
+      }
+    }
+
+    for (const { item, action, targetPath, backupPath } of changes) {
+      if (action === "restore") {
+        await fileSystem.rename(backupPath, targetPath);
+        logger.log(`♻️  File restored: ${targetPath}`);
+      } else if (item.type === "directory") {
+        await fileSystem.rmdir(targetPath);
+        logger.log(`🗑️  Directory removed: ${targetPath}`);
+      } else if (item.type === "symlink") {
+        await fileSystem.unlink(targetPath);
+        logger.log(`🗑️  Symlink removed: ${targetPath}`);
+      } else {
+        await fileSystem.unlink(targetPath);
+        logger.log(`🗑️  File removed: ${targetPath}`);
+      }
+    }
+
+    // The run can't be undone twice
+    await fileSystem.unlink(manifestPath);
+
+    logger.log(
+      `\n✨ Removed ${changes.length} item(s)${
+        kept.length > 0 ? `, kept ${kept.length}` : ""
+      }`
+    );
+    return { success: true };
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: error.code ? "io" : "parse", error };
+  }
+}
+
+// Labels of the violations found by check
+const VIOLATION_LABELS = {
+  missing: "missing",
+  type: "wrong type",
+  unexpected: "unexpected",
+};
+
+/**
+ * Checks that an existing directory follows the structure of a file, and prints a report
+ * of the violations
+ * @param {string} filePath - Path to the file with the structure
+ * @param {string} dirPath - Directory to check (as the output directory of a create run)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.noExtras - If true, entries the structure doesn't list are violations
+ * @param {Array<string>} options.ignore - Gitignore-style patterns of entries that are never extras
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use when the file is a Markdown document
+ * @param {string} options.format - "tree", "json", "yaml" or "auto" (default, detected from the extension)
+ * @param {boolean} options.strict - If true, parse warnings abort the check
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, violations?: Array<Object>, reason?: string, error?: Error}>}
+ */
+export async function checkDirectoryStructure(
+  filePath,
+  dirPath = ".",
+  options = {}
+) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+
+  try {
+    const content = await fileSystem.readFile(filePath, "utf8");
+    const format =
+      !options.format || options.format === "auto"
+        ? detectStructureFormat(filePath, content)
+        : options.format;
+    const structure = parseStructureText(content, {
+      format,
+      dialect: options.dialect,
+      block: options.block,
+      logger,
+    });
+
+    const invalid = reportDiagnostics(
+      structure.diagnostics,
+      "file",
+      options.strict,
+      logger
+    );
+    if (invalid) return invalid;
+
+    const stats = await fileSystem.stat(dirPath);
+    if (!stats.isDirectory()) {
+      const error = new Error(`${dirPath} is not a directory`);
+      logger.error(`❌ ${error.message}`);
+      return { success: false, reason: "io", error };
+    }
+
+    logger.log(`Checking ${dirPath} against ${filePath}...`);
+    const { violations, checked } = await checkStructure(structure, dirPath, {
+      noExtras: options.noExtras,
+      ignore: options.ignore,
+      fileSystem,
+    });
+
+    if (violations.length === 0) {
+      logger.log(
+        `✨ ${dirPath} follows the structure (${checked} entries checked)`
+      );
+      return { success: true, violations };
+    }
+
+    const width = Math.max(
+      ...violations.map(({ type }) => VIOLATION_LABELS[type].length)
+    );
+    logger.log();
+    for (const { type, path: entryPath, message, line } of violations) {
+      logger.log(
+        `  ❌ ${VIOLATION_LABELS[type].padEnd(
+          width
+        )}  ${entryPath}: ${message}${line ? ` (line ${line})` : ""}`
+      );
+    }
+    const error = new Error(
+      `${violations.length} violation(s) found in ${dirPath}`
+    );
+    logger.error(`\n❌ ${error.message}`);
+    return { success: false, reason: "violations", violations, error };
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: error.code ? "io" : "parse", error };
   }
 }
 
+// Connector of any dialect that draws them, with the guides before it
+const ANY_CONNECTOR_LINE = /^([\s│|]*?)([├└]─+|[|`]--|[+\\]--+)(?=\s|$)(.*)$/;
+
+/**
+ * Rewrites the connectors and guides of a tree that mixes dialects (├── next to |-- or +---)
+ * with the unicode ones, so that it can be parsed as a whole
+ * Trees that use a single dialect are returned as they are
+ * @param {string} content - Tree text
+ * @returns {string}
+ */
+function unifyConnectors(content) {
+  const lines = content.split(/\r?\n/);
+  const dialects = ["unicode", "ascii", "windows"].filter((name) =>
+    lines.some((line) => splitTreeLine(line, TREE_DIALECTS[name]).connector)
+  );
+  if (dialects.length < 2) return content;
+
+  return lines
+    .map((line) => {
+      const match = line.match(ANY_CONNECTOR_LINE);
+      if (!match) return line;
+      const [, prefix, connector, text] = match;
+      const isLast = /^[└`\\]/.test(connector);
+      return `${prefix.replace(/\|/g, "│")}${isLast ? "└──" : "├──"}${text}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Re-renders one tree in the canonical format
+ * A "." root line is kept; it isn't part of the parsed paths
+ * @param {string} content - Tree text
+ * @param {Object} options - Options of formatTree
+ * @returns {{text: string, diagnostics: Array<Object>}}
+ */
+function formatTreeContent(content, options) {
+  const { paths, comments, links, diagnostics } = parseTreeStructure(
+    !options.dialect || options.dialect === "auto"
+      ? unifyConnectors(content)
+      : content,
+    { dialect: options.dialect }
+  );
+  const firstLine = content
+    .split(/\r?\n/)
+    .find((line) => line.trim() && !isSummaryLine(line));
+  const root = firstLine?.trim();
+  if (root !== "." && root !== "./") {
+    return {
+      text: renderTree(paths, { comments, links, sort: options.sort }),
+      diagnostics,
+    };
+  }
+
+  // Render the entries below a "./" root, then write the root as it was
+  const rebase = (map) =>
+    Object.fromEntries(
+      Object.entries(map).map(([entryPath, value]) => [`./${entryPath}`, value])
+    );
+  const text = renderTree(
+    paths.map((entryPath) => `./${entryPath}`),
+    { comments: rebase(comments), links: rebase(links), sort: options.sort }
+  );
+  return { text: text.replace(/^\.\//, root), diagnostics };
+}
+
+/**
+ * Formats a tree canonically: ├── and └── connectors (└── for the last child), │ guides,
+ * directories ending with "/" and comments aligned on one column, with their directives
+ * Without a dialect, trees that mix connectors of several dialects are read as one tree
+ * Trees in a Markdown document or chat response are formatted inside their code blocks,
+ * leaving the rest of the text as is; file contents (heredocs and named code blocks) are
+ * left as they are too
+ * @param {string} text - Tree, Markdown document or chat response
+ * @param {Object} options - Additional options
+ * @param {boolean} options.sort - If true, directories come first, then files, alphabetically
+ * @param {string} options.dialect - Tree dialect of the input ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to format: "best" (default), "all"
+ *   or 1-based numbers
+ * @returns {{text: string, diagnostics: Array<Object>}} - Formatted text and the problems found
+ */
+export function formatTree(text, options = {}) {
+  // Blank the file contents out, the same way parseStructureText does (line numbers are kept)
+  const heredocs = extractHeredocs(text);
+  const blocks = findCodeBlocks(heredocs.text).length
+    ? selectTreeBlocks(heredocs.text, options.block)
+    : [];
+  const remaining = extractContentBlocks(
+    heredocs.text,
+    blocks.map((block) => block.index)
+  ).text;
+  if (blocks.length === 0 && findCodeBlocks(remaining).length > 0) {
+    throw new Error("None of the code blocks of the text is a tree");
+  }
+
+  // Without tree blocks, the tree is what's left between the first and last remaining lines
+  const trees = [...blocks];
+  if (blocks.length === 0) {
+    const remainingLines = remaining.split(/\r?\n/);
+    const first = remainingLines.findIndex((line) => line.trim());
+    if (first === -1) return { text, diagnostics: [] };
+    let last = remainingLines.length - 1;
+    while (!remainingLines[last].trim()) last--;
+
+    const textLines = text.split(/\r?\n/);
+    const inside = textLines.slice(first, last + 1);
+    if (inside.some((line, index) => line !== remainingLines[first + index])) {
+      throw new Error(
+        "File contents in the middle of a tree can't be formatted"
+      );
+    }
+    trees.push({
+      content: inside.join("\n"),
+      startLine: first + 1,
+      endLine: last + 1,
+    });
+  }
+
+  const lines = text.split(/\r?\n/);
+  const diagnostics = [];
+  // From the last tree to the first, so that the line numbers of the others stay valid
+  for (const tree of [...trees].sort((a, b) => b.startLine - a.startLine)) {
+    const formatted = formatTreeContent(tree.content, options);
+    lines.splice(
+      tree.startLine - 1,
+      tree.endLine - tree.startLine + 1,
+      ...formatted.text.split("\n")
+    );
+    for (const diagnostic of formatted.diagnostics) {
+      // Line numbers refer to the whole text, not to the tree
+      diagnostics.push({
+        ...diagnostic,
+        line: diagnostic.line + tree.startLine - 1,
+      });
+    }
+  }
+  diagnostics.sort((a, b) => a.line - b.line);
+
+  return { text: lines.join("\n"), diagnostics };
+}
+
+/**
+ * Formats a structure text and reports the problems found
+ * @param {string} content - Tree, Markdown document or chat response
+ * @param {Object} options - Options of formatStructureFile
+ * @param {string} source - Where the text comes from ("file" or "text")
+ * @param {Object} logger - Object for logging
+ * @returns {Object} - Failed result, or {success: true, text}
+ */
+function formatAndReport(content, options, source, logger) {
+  const { text, diagnostics } = formatTree(content, options);
+
+  const invalid = reportDiagnostics(
+    diagnostics,
+    source,
+    options.strict,
+    logger
+  );
+  if (invalid) return invalid;
+
+  if (!text.trim()) {
+    logger.log(`No valid structure found in the ${source}.`);
+    return { success: false, reason: "parse" };
+  }
+  return { success: true, text };
+}
+
+/**
+ * Formats the tree of a file and prints it, or writes it back to the file
+ * @param {string} filePath - Path to the file with the tree (a Markdown document is formatted
+ *   in its code blocks)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.write - If true, the file is rewritten instead of printing the result
+ * @param {boolean} options.sort - If true, directories come first, then files, alphabetically
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to format when the file is a Markdown document
+ * @param {boolean} options.strict - If true, parse warnings abort
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, text?: string, changed?: boolean, reason?: string, error?: Error}>}
+ */
+export async function formatStructureFile(filePath, options = {}) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+
+  try {
+    const content = await fileSystem.readFile(filePath, "utf8");
+    const format = detectStructureFormat(filePath, content);
+    if (format !== "tree") {
+      const error = new Error(
+        `Only trees can be formatted, and ${filePath} is a ${format} manifest`
+      );
+      logger.error(`❌ ${error.message}`);
+      return { success: false, reason: "parse", error };
+    }
+
+    const result = formatAndReport(content, options, "file", logger);
+    if (!result.success) return result;
+
+    const changed = result.text !== content;
+    if (!options.write) {
+      logger.log(result.text.replace(/\n$/, ""));
+    } else if (changed) {
+      await fileSystem.writeFile(filePath, result.text);
+      logger.log(`✨ Formatted ${filePath}`);
+    } else {
+      logger.log(`${filePath} is already formatted`);
+    }
+    return { success: true, text: result.text, changed };
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: error.code ? "io" : "parse", error };
+  }
+}
+
+/**
+ * Formats a tree given as text and prints it
+ * @param {string} structureText - Tree, Markdown document or chat response
+ * @param {Object} options - Additional options
+ * @param {boolean} options.sort - If true, directories come first, then files, alphabetically
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to format when the text is a chat response
+ * @param {boolean} options.strict - If true, parse warnings abort
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @returns {{success: boolean, text?: string, reason?: string, error?: Error}}
+ */
+export function formatStructureText(structureText, options = {}) {
+  const logger = options.logger || console;
+
+  try {
+    const result = formatAndReport(structureText, options, "text", logger);
+    if (result.success) logger.log(result.text.replace(/\n$/, ""));
+    return result;
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: "parse", error };
+  }
+}
+
+/**
+ * Converts a structure text and prints the result
+ * Only the converted structure is printed with logger.log, so that it can be redirected to a
+ * file; messages and problems go to logger.error
+ * @param {string} content - Structure in any supported format
+ * @param {Object} options - Options of convertStructureFile
+ * @param {string} source - Where the structure comes from ("file" or "text")
+ * @param {Object} logger - Object for logging
+ * @returns {Object} - Failed result, or {success: true, text}
+ */
+function convertAndReport(content, options, source, logger) {
+  const messages = { log: logger.error, error: logger.error };
+  const structure = parseStructureText(content, {
+    format: options.format,
+    dialect: options.dialect,
+    block: options.block,
+    logger: messages,
+  });
+
+  const invalid = reportDiagnostics(
+    structure.diagnostics,
+    source,
+    options.strict,
+    messages
+  );
+  if (invalid) return invalid;
+
+  if (structure.paths.length === 0) {
+    logger.error(`No valid structure found in the ${source}.`);
+    return { success: false, reason: "parse" };
+  }
+
+  const text = convertStructure(structure, options.to || "tree");
+  logger.log(text);
+  return { success: true, text };
+}
+
+/**
+ * Converts the structure of a file to another format and prints it
+ * @param {string} filePath - Path to the file with the structure
+ * @param {Object} options - Additional options
+ * @param {string} options.to - Output format: "tree" (default), "json", "yaml", "markdown"
+ *   or "paths" (see CONVERT_FORMATS)
+ * @param {string} options.format - Input format: "tree", "json", "yaml" or "auto" (default,
+ *   detected from the extension)
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use when the file is a Markdown document
+ * @param {boolean} options.strict - If true, parse warnings abort
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{success: boolean, text?: string, reason?: string, error?: Error}>}
+ */
+export async function convertStructureFile(filePath, options = {}) {
+  const logger = options.logger || console;
+  const fileSystem = options.fileSystem || fs;
+
+  try {
+    const content = await fileSystem.readFile(filePath, "utf8");
+    const format =
+      !options.format || options.format === "auto"
+        ? detectStructureFormat(filePath, content)
+        : options.format;
+    return convertAndReport(content, { ...options, format }, "file", logger);
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: error.code ? "io" : "parse", error };
+  }
+}
+
+/**
+ * Converts a structure given as text to another format and prints it
+ * @param {string} structureText - Structure in any supported format
+ * @param {Object} options - Additional options
+ * @param {string} options.to - Output format (see CONVERT_FORMATS, "tree" by default)
+ * @param {string} options.format - Input format: "tree", "json", "yaml" or "auto" (default,
+ *   detected from the content)
+ * @param {string} options.dialect - Tree dialect ("auto" by default, see TREE_DIALECTS)
+ * @param {string|Array<number>} options.block - Code blocks to use when the text is a chat response
+ * @param {boolean} options.strict - If true, parse warnings abort
+ * @param {Object} options.logger - Object for logging (console by default)
+ * @returns {{success: boolean, text?: string, reason?: string, error?: Error}}
+ */
+export function convertStructureText(structureText, options = {}) {
+  const logger = options.logger || console;
+
+  try {
+    return convertAndReport(structureText, options, "text", logger);
+  } catch (error) {
+    logger.error("\n❌ Error:", error.message);
+    logger.error(error.stack);
+    return { success: false, reason: "parse", error };
+  }
+}
+
+// Commands that can be given as the first argument
+const COMMANDS = ["scan", "undo", "sync", "check", "fmt", "convert"];
+
+/**
+ * Parses the value of --block: "best", "all" or a comma-separated list of block numbers
+ * @param {string} value - Value given on the command line
+ * @returns {string|Array<number>|null} - null if the value is none of these
+ */
+function parseBlockSelection(value) {
+  if (!value || value === "best" || value === "all") return value || "best";
+
+  const numbers = value.split(",").map((number) => number.trim());
+  if (!numbers.every((number) => /^[1-9]\d*$/.test(number))) return null;
+  return numbers.map((number) => parseInt(number, 10));
+}
+
 /**
  * Processes command line arguments
  * @param {Array} args - List of arguments
+ * @param {stream.Readable} stdin - Standard input, read when something is piped into it
+ *   and no structure is given (process.stdin by default)
  * @returns {Object} Object with processed options
  */
-export function parseArgs(args) {
+export function parseArgs(args, stdin = process.stdin) {
   // If args is not provided, use process.argv
   const cliArgs = args || process.argv.slice(2);
 
   const options = {
+    command: "create", // Command to run ("create" or one of COMMANDS)
     filePath: null,
     outputDir: ".",
     skipConfirmation: false,
     showHelp: false,
     directStructure: null, // Option for direct structure
+    stdin: false, // Read the structure from standard input ("-" or piped input)
+    interactive: true, // Ask for confirmation (false with --no-input)
     dryRun: false, // Option for dry run mode
+    dialect: "auto", // Tree dialect (see TREE_DIALECTS)
+    block: "best", // Code blocks to use from a Markdown document or chat response
+    format: "auto", // Structure format ("auto", "tree", "json" or "yaml")
+    onConflict: "skip", // Policy for files that already exist (see CONFLICT_POLICIES)
+    strict: false, // Abort on parse warnings
+    record: true, // Record the created items so that the run can be undone
+    empty: false, // Leave files empty instead of adding starter content
+    commentHeaders: false, // Write comments into the created files
+    docsPath: null, // Markdown file describing the structure, relative to the output directory
+    ignore: [], // Patterns of entries that sync mode keeps
+    force: false, // Let sync mode delete files that aren't empty
+    noExtras: false, // Report entries the structure doesn't list in check mode
+    sort: false, // Sort entries in fmt mode (directories first, then alphabetically)
+    write: false, // Rewrite the file in fmt mode instead of printing it
+    to: "tree", // Output format of convert mode (see CONVERT_FORMATS)
+    scanDir: null, // Directory to render in scan mode
+    depth: undefined, // Maximum depth in scan mode
+    gitignore: true, // Honour .gitignore files in scan mode
+    commentsFile: null, // Tree file with comments for scan mode
+    usageError: null, // Message for an invalid option value, which main reports
   };
 
-  for (let i = 0; i < cliArgs.length; i++) {
+  let start = 0;
+  if (COMMANDS.includes(cliArgs[0])) {
+    options.command = cliArgs[0];
+    start = 1;
+  }
+
+  for (let i = start; i < cliArgs.length; i++) {
     const arg = cliArgs[i];
 
     if (arg === "-h" || arg === "--help") {
       options.showHelp = true;
     } else if (arg === "-y" || arg === "--yes") {
       options.skipConfirmation = true;
+    } else if (arg === "--no-input") {
+      options.interactive = false;
     } else if (arg === "-o" || arg === "--output") {
       options.outputDir = cliArgs[++i] || ".";
     } else if (arg === "-s" || arg === "--structure") {
       options.directStructure = cliArgs[++i] || null;
     } else if (arg === "-d" || arg === "--dry-run") {
       options.dryRun = true;
-    } else if (!options.filePath && !options.directStructure) {
+    } else if (arg === "--dialect") {
+      options.dialect = cliArgs[++i] || "auto";
+    } else if (arg === "--docs") {
+      options.docsPath = cliArgs[++i] || DEFAULT_DOCS_PATH;
+    } else if (arg === "--ignore") {
+      if (cliArgs[i + 1]) options.ignore.push(cliArgs[++i]);
+    } else if (arg === "--force") {
+      options.force = true;
+    } else if (arg === "--no-extras") {
+      options.noExtras = true;
+    } else if (arg === "--to") {
+      options.to = cliArgs[++i] || "tree";
+    } else if (arg === "--sort") {
+      options.sort = true;
+    } else if (arg === "-w" || arg === "--write") {
+      options.write = true;
+    } else if (arg === "--comment-headers") {
+      options.commentHeaders = true;
+    } else if (arg === "--empty") {
+      options.empty = true;
+    } else if (arg === "--no-record") {
+      options.record = false;
+    } else if (arg === "--strict") {
+      options.strict = true;
+    } else if (arg === "--on-conflict") {
+      options.onConflict = cliArgs[++i] || "skip";
+    } else if (arg === "-f" || arg === "--format") {
+      options.format = cliArgs[++i] || "auto";
+    } else if (arg === "-b" || arg === "--block") {
+      const value = cliArgs[++i];
+      const block = parseBlockSelection(value);
+      if (block) {
+        options.block = block;
+      } else {
+        options.usageError = `Invalid --block value "${value}" (expected best, all or block numbers such as 1,3)`;
+      }
+    } else if (arg === "-L" || arg === "--depth") {
+      const depth = parseInt(cliArgs[++i], 10);
+      options.depth = Number.isNaN(depth) ? undefined : depth;
+    } else if (arg === "--no-gitignore") {
+      options.gitignore = false;
+    } else if (arg === "--comments") {
+      options.commentsFile = cliArgs[++i] || null;
+    } else if (options.command === "scan") {
+      options.scanDir = options.scanDir || arg;
+    } else if (options.command === "undo") {
+      options.outputDir = arg;
+    } else if (arg === "-" && !options.filePath && !options.directStructure) {
+      options.stdin = true;
+    } else if (
+      !options.filePath &&
+      !options.directStructure &&
+      !options.stdin
+    ) {
       options.filePath = arg;
+    } else if (options.command === "check") {
+      options.outputDir = arg;
     }
   }
 
+  // Without a structure, read it from stdin if something is piped into it
+  if (
+    ["create", "sync", "fmt", "convert"].includes(options.command) &&
+    !options.showHelp &&
+    !options.filePath &&
+    !options.directStructure &&
+    isPipedInput(stdin)
+  ) {
+    options.stdin = true;
+  }
+
   return options;
 }
 
@@ -426,13 +2537,76 @@ DirCraft - Project structure generator
 
 Usage: dircraft [options] <structure-file>
    or: dircraft -s "<structure-text>"
+   or: <command> | dircraft [options] [-]
+   or: dircraft scan [options] [directory]
+   or: dircraft undo [options] [directory]
+   or: dircraft sync [options] <structure-file>
+   or: dircraft check [options] <structure-file> [directory]
+   or: dircraft fmt [options] [structure-file]
+   or: dircraft convert --to <format> [options] [structure-file]
 
 Options:
   -h, --help              Shows this help
   -y, --yes               Skips confirmation
+  --no-input              Never prompts: fails if a confirmation would be needed (without -y)
   -o, --output <dir>      Specifies the output directory (default: current directory)
   -s, --structure <text>  Provides the structure directly as text instead of from a file
+  -                       Reads the structure from standard input (default when it is piped)
   -d, --dry-run           Shows what would be created without actually creating anything
+  --dialect <name>        Tree dialect: auto (default), unicode, ascii (tree --charset=ascii),
+                          windows (tree /F), markdown (bullet lists) or outline (indentation only)
+  --on-conflict <policy>  What to do with files that already exist: skip (default),
+                          overwrite, backup (to *.bak), fail or ask
+  -f, --format <name>     Structure format: auto (default, from the file extension), tree,
+                          json or yaml
+  -b, --block <n>         Code block(s) to use when the input is a Markdown document or chat
+                          response: best (default), all, or block numbers such as 2 or 1,3
+  --docs <file>           Writes a Markdown file with the tree and a table of the commented
+                          paths, relative to the output directory (e.g. STRUCTURE.md)
+  --comment-headers       Writes each file's comment as a header comment and each directory's
+                          comment into a README in the directory
+  --empty                 Leaves files empty instead of adding starter content
+  --no-record             Doesn't record the created items in .dircraft-run.json for undo
+  --strict                Aborts if the structure has any parse warning (duplicates, bad
+                          indentation, files with children, entries without a name)
+
+Scan options:
+  -L, --depth <n>         Descends at most n levels below the scanned directory
+  --no-gitignore          Includes entries excluded by .gitignore files
+  --comments <file>       Adds the comments of an existing tree file as a "# comment" column
+
+Undo:
+  Removes what the last run created in the directory (default: current directory),
+  keeping files modified since then. Accepts -y, -d and --no-input.
+
+Sync:
+  Creates the structure like the default command, then deletes the entries of the output
+  directory that it doesn't list, after a confirmation that -y doesn't skip.
+  --ignore <pattern>      Keeps the entries matching a gitignore-style pattern (repeatable)
+  --force                 Deletes files that aren't empty as well
+
+Check:
+  Reports the entries of the structure missing from the directory (default: current
+  directory). Entries can be wildcards (*.test.js, ** for anything); "# @optional" entries
+  may be missing, and "# @no-extras" directories may only contain what the structure lists.
+  --no-extras             Reports entries the structure doesn't list in every directory
+  --ignore <pattern>      Never reports the entries matching a gitignore-style pattern
+
+Fmt:
+  Prints the tree in the canonical format: ├──/└── connectors, │ guides and an aligned
+  "# comment" column. Markdown documents are formatted in their tree code blocks.
+  --sort                  Lists directories first, then files, alphabetically
+  -w, --write             Rewrites the file instead of printing it
+
+Convert:
+  Prints the structure in another format, keeping comments and directives.
+  --to <format>           tree (default), json, yaml, markdown (bullet lists) or paths (one
+                          path per line); only json and yaml keep file contents
+
+Exit codes:
+  0 success, 1 usage error, 2 cancelled, 3 invalid structure, 4 conflict with existing
+  files, 5 file system error, 6 confirmation needed without interactive input,
+  7 the directory doesn't follow the structure (check)
 
 Examples:
   dircraft structure.txt
@@ -442,5 +2616,11 @@ Examples:
 ├── src/
 │   └── index.js
 └── package.json"
+  pbpaste | dircraft -o ./my-project -
+  dircraft scan -L 2 ./my-project > structure.txt
+  dircraft undo ./my-project
+  dircraft check --no-extras layout.txt ./packages
+  dircraft fmt --sort --write structure.txt
+  dircraft convert --to yaml structure.txt > structure.yaml
   `);
 }
@@ -0,0 +1,210 @@
+// Directives that can appear in the comment of an entry, with the number of arguments they take
+export const DIRECTIVES = {
+  mode: 1,
+  link: 1,
+  copy: 1,
+  "empty-dir": 0,
+  optional: 0,
+  "no-extras": 0,
+};
+
+// Property of the parsed directives for each directive name
+const DIRECTIVE_KEYS = {
+  mode: "mode",
+  link: "link",
+  copy: "copy",
+  "empty-dir": "emptyDir",
+  optional: "optional",
+  "no-extras": "noExtras",
+};
+
+/**
+ * Splits the directives (@mode 755, @link target, @copy source, @empty-dir, and @optional
+ * and @no-extras for checks) out of a comment
+ * Words starting with "@" that aren't directives stay in the comment
+ * @param {string} comment - Comment of an entry
+ * @returns {{comment: string, directives: Object, problems: Array<Object>}} - Human comment,
+ *   directives ({mode, link, copy, emptyDir, optional, noExtras}) and the problems found
+ *   ({name, message})
+ */
+export function extractDirectives(comment) {
+  const words = comment.split(/\s+/).filter(Boolean);
+  const kept = [];
+  const directives = {};
+  const problems = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const name = words[i].startsWith("@") ? words[i].slice(1) : null;
+    if (!Object.prototype.hasOwnProperty.call(DIRECTIVES, name)) {
+      kept.push(words[i]);
+      continue;
+    }
+
+    if (DIRECTIVES[name] === 0) {
+      directives[DIRECTIVE_KEYS[name]] = true;
+      continue;
+    }
+
+    const value = words[i + 1];
+    if (!value || value.startsWith("@")) {
+      problems.push({ name, message: `@${name} needs an argument` });
+      continue;
+    }
+    i++;
+
+    if (name === "mode" && !/^[0-7]{3,4}$/.test(value)) {
+      problems.push({
+        name,
+        message: `@mode needs an octal mode such as 755, got "${value}"`,
+      });
+      continue;
+    }
+    directives[DIRECTIVE_KEYS[name]] = value;
+  }
+
+  return { comment: kept.join(" "), directives, problems };
+}
+
+/**
+ * Renames a path in every map of a structure
+ * @param {Object} structure - Structure with paths, comments, contents, lines and directives
+ * @param {string} from - Current path
+ * @param {string} to - New path
+ */
+function renamePath(structure, from, to) {
+  structure.paths = structure.paths.map((entryPath) =>
+    entryPath === from ? to : entryPath
+  );
+  for (const key of ["comments", "contents", "lines", "directives"]) {
+    if (structure[key] && from in structure[key]) {
+      structure[key][to] = structure[key][from];
+      delete structure[key][from];
+    }
+  }
+}
+
+/**
+ * Extracts the directives of every comment of a parsed structure
+ * Entries with @empty-dir become directories and entries with @link or "name -> target"
+ * become symlinks (without a trailing "/"); problems are reported as diagnostics
+ * @param {Object} structure - Parsed structure with paths, comments, contents, lines and links
+ * @param {Array<string>} sourceLines - Lines of the structure text, to quote in diagnostics
+ * @returns {Object} - Structure with clean comments, directives by path and diagnostics
+ */
+export function applyDirectives(structure, sourceLines = []) {
+  const { links = {}, ...rest } = structure;
+  const result = {
+    ...rest,
+    comments: {},
+    contents: { ...structure.contents },
+    ...(structure.lines && { lines: { ...structure.lines } }),
+    directives: {},
+    diagnostics: [...(structure.diagnostics || [])],
+  };
+
+  // Diagnostics point at the directive; manifests have no lines to point at
+  const report = (entryPath, name, severity, message) => {
+    const line = result.lines?.[entryPath];
+    const source = line ? sourceLines[line - 1] ?? "" : "";
+    const directiveColumn = source.indexOf(`@${name}`) + 1;
+    const column = directiveColumn || Math.max(1, source.indexOf("->") + 1);
+    result.diagnostics.push(
+      line
+        ? { line, column, severity, message, source }
+        : { severity, message: `${entryPath}: ${message}` }
+    );
+  };
+
+  for (const [entryPath, text] of Object.entries(structure.comments)) {
+    const { comment, directives, problems } = extractDirectives(text);
+    if (comment) result.comments[entryPath] = comment;
+    if (Object.keys(directives).length > 0) {
+      result.directives[entryPath] = directives;
+    }
+    for (const { name, message } of problems) {
+      report(entryPath, name, "error", message);
+    }
+  }
+
+  // "name -> target" is the same as @link target
+  for (const [entryPath, target] of Object.entries(links)) {
+    result.directives[entryPath] = {
+      ...result.directives[entryPath],
+      link: target,
+    };
+  }
+
+  for (const [entryPath, directives] of Object.entries(result.directives)) {
+    const isDirectory = entryPath.endsWith("/");
+    const base = entryPath.replace(/\/$/, "");
+    const hasChildren = result.paths.some(
+      (other) => other.startsWith(`${base}/`) && other !== `${base}/`
+    );
+
+    if (directives.link && directives.copy) {
+      report(entryPath, "copy", "error", "@link and @copy can't be combined");
+    } else if (directives.link) {
+      if (hasChildren) {
+        report(entryPath, "link", "error", "A symlink can't have children");
+      } else if (isDirectory) {
+        renamePath(result, entryPath, base);
+      }
+      if (directives.mode) {
+        report(entryPath, "mode", "warning", "@mode is ignored on symlinks");
+      }
+    } else if (directives.copy && (isDirectory || directives.emptyDir)) {
+      report(entryPath, "copy", "error", "@copy only applies to files");
+    } else if (directives.emptyDir) {
+      if (hasChildren) {
+        report(
+          entryPath,
+          "empty-dir",
+          "warning",
+          "@empty-dir on a directory with children"
+        );
+      }
+      if (!isDirectory) renamePath(result, entryPath, `${base}/`);
+    }
+    if (directives.noExtras && !isDirectory && !directives.emptyDir) {
+      report(
+        entryPath,
+        "no-extras",
+        "warning",
+        "@no-extras only applies to directories"
+      );
+    }
+  }
+
+  result.diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return result;
+}
+
+/**
+ * Describes the action a directive adds to an entry, for summaries and dry runs
+ * @param {Object} directives - Directives of the entry ({mode, link, copy, emptyDir})
+ * @returns {string} - Description such as " [mode 755]", or "" if there are none
+ */
+export function describeDirectives(directives = {}) {
+  const actions = [];
+  if (directives.link) actions.push(`symlink to ${directives.link}`);
+  if (directives.copy) actions.push(`copy of ${directives.copy}`);
+  if (directives.emptyDir) actions.push("empty");
+  if (directives.mode) actions.push(`mode ${directives.mode}`);
+  return actions.length > 0 ? ` [${actions.join(", ")}]` : "";
+}
+
+/**
+ * Writes directives back into a comment, the inverse of extractDirectives
+ * @param {string} comment - Human comment of the entry
+ * @param {Object} directives - Directives of the entry
+ * @returns {string} - Comment followed by the directives, such as "Starts the server @mode 755"
+ */
+export function formatDirectives(comment = "", directives = {}) {
+  const words = comment ? [comment] : [];
+  for (const [name, key] of Object.entries(DIRECTIVE_KEYS)) {
+    const value = directives[key];
+    if (value === true) words.push(`@${name}`);
+    else if (value) words.push(`@${name} ${value}`);
+  }
+  return words.join(" ");
+}
@@ -0,0 +1,50 @@
+import { renderTree } from "./render.js";
+
+// Default path of the documentation file, relative to the output directory
+export const DEFAULT_DOCS_PATH = "STRUCTURE.md";
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function escapeTableCell(text) {
+  return text.replace(/\|/g, "\\|");
+}
+
+/**
+ * Renders a Markdown document that describes a structure: the tree and a table
+ * with the description of every commented path
+ * @param {Array<string>} paths - Paths of the structure (directories end with "/")
+ * @param {Object} comments - Map of comments by path
+ * @param {Object} options - Additional options
+ * @param {string} options.title - Title of the document ("Project structure" by default)
+ * @param {Object} options.links - Map of symlink targets by path
+ * @returns {string} - Markdown document
+ */
+export function renderStructureDoc(paths, comments = {}, options = {}) {
+  const title = options.title || "Project structure";
+  const lines = [
+    `# ${title}`,
+    "",
+    "```",
+    renderTree(paths, { links: options.links }),
+    "```",
+    "",
+  ];
+
+  const described = paths.filter((entryPath) => comments[entryPath]);
+  if (described.length > 0) {
+    lines.push("| Path | Description |", "| --- | --- |");
+    for (const entryPath of described) {
+      lines.push(
+        `| \`${escapeTableCell(entryPath)}\` | ${escapeTableCell(
+          comments[entryPath]
+        )} |`
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
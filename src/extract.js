@@ -0,0 +1,155 @@
+// Opening or closing line of a fenced code block (``` or ~~~)
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*(([^`\s]*)[^`]*)/;
+
+// Lines that can only belong to a directory tree
+const TREE_GLYPHS = /^[\s│|]*(?:[├└]─|[|`]--|[+\\]---)/;
+
+// Lines that look like a single file or directory name, with an optional comment
+const ENTRY_LINE =
+  /^\s*(?:(?:[-*+]|\d+[.)])\s+)?`?[\w@.~$()[\]{} +-]+\/?`?\s*(?:(?:#|—|–|-|:)\s*.*)?$/;
+
+// `tree` summary lines
+const SUMMARY_LINE = /^\s*\d+ director(?:y|ies)(?:, \d+ files?)?\s*$/;
+
+// Lines that look like source code rather than a tree
+const CODE_LINE =
+  /[;{}=]\s*$|^\s*(?:import|export|const|let|var|function|class|return|def)\b/;
+
+/**
+ * Finds the fenced code blocks of a Markdown document or chat response
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} - Blocks with index (1-based), language, info (the whole info string),
+ *   content, startLine and endLine
+ */
+export function findCodeBlocks(text) {
+  const lines = text.split(/\r?\n/);
+  const blocks = [];
+  let open = null;
+
+  lines.forEach((line, lineIndex) => {
+    const fence = line.match(FENCE);
+
+    if (!open) {
+      if (fence) {
+        open = {
+          marker: fence[1],
+          language: fence[3].toLowerCase(),
+          info: fence[2].trim(),
+          startLine: lineIndex + 2,
+          lines: [],
+        };
+      }
+      return;
+    }
+
+    const closes =
+      fence &&
+      !fence[3] &&
+      fence[1][0] === open.marker[0] &&
+      fence[1].length >= open.marker.length;
+    if (closes) {
+      blocks.push(toBlock(open, blocks.length + 1));
+      open = null;
+    } else {
+      open.lines.push(line);
+    }
+  });
+
+  // An unclosed fence runs until the end of the text
+  if (open) blocks.push(toBlock(open, blocks.length + 1));
+
+  return blocks;
+}
+
+/**
+ * Converts an open fence into a block
+ * @param {Object} open - Fence being collected
+ * @param {number} index - 1-based index of the block
+ * @returns {Object}
+ */
+function toBlock(open, index) {
+  return {
+    index,
+    language: open.language,
+    info: open.info,
+    content: open.lines.join("\n"),
+    startLine: open.startLine,
+    endLine: open.startLine + open.lines.length - 1,
+  };
+}
+
+/**
+ * Scores how much a block of text looks like a directory tree
+ * Tree glyphs weigh the most; blocks with lines of source code score 0
+ * @param {string} content - Block content
+ * @returns {number} - Score (0 if the block doesn't look like a tree)
+ */
+export function scoreTreeBlock(content) {
+  const lines = content.split("\n").filter((line) => line.trim());
+  if (lines.length === 0) return 0;
+
+  let glyphLines = 0;
+  let entryLines = 0;
+  let nestedLines = 0;
+  for (const line of lines) {
+    if (CODE_LINE.test(line)) return 0;
+
+    if (TREE_GLYPHS.test(line)) {
+      glyphLines++;
+    } else if (ENTRY_LINE.test(line) || SUMMARY_LINE.test(line)) {
+      entryLines++;
+      // Without glyphs, a tree needs directories or indentation
+      const name = line.split(/\s+(?:#|—|–|-\s|:\s)/)[0].replace(/`/g, "");
+      if (/^\s/.test(line) || name.trim().endsWith("/")) nestedLines++;
+    }
+  }
+
+  const matching = glyphLines + entryLines;
+  if (matching / lines.length < 0.8) return 0;
+  if (glyphLines === 0 && nestedLines === 0) return 0;
+
+  return glyphLines * 2 + entryLines;
+}
+
+/**
+ * Finds the fenced code blocks that look like directory trees
+ * @param {string} text - Markdown document or chat response
+ * @returns {Array<Object>} - Blocks as returned by findCodeBlocks, with a score
+ */
+export function extractTreeBlocks(text) {
+  return findCodeBlocks(text)
+    .map((block) => ({ ...block, score: scoreTreeBlock(block.content) }))
+    .filter((block) => block.score > 0);
+}
+
+/**
+ * Selects the code blocks to use as structure
+ * @param {string} text - Markdown document or chat response
+ * @param {string|Array<number>} selection - "best" (default), "all", or 1-based block numbers
+ * @returns {Array<Object>} - Selected blocks (empty if the text has no tree-like block)
+ */
+export function selectTreeBlocks(text, selection = "best") {
+  if (Array.isArray(selection)) {
+    const blocks = findCodeBlocks(text);
+    return selection.map((number) => {
+      const block = blocks[number - 1];
+      if (!block) {
+        throw new Error(
+          `Code block ${number} not found (the text has ${blocks.length} code blocks)`
+        );
+      }
+      return block;
+    });
+  }
+
+  const treeBlocks = extractTreeBlocks(text);
+  if (selection === "all") return treeBlocks;
+
+  // The first block with the highest score wins
+  const best = treeBlocks.reduce(
+    (current, block) =>
+      !current || block.score > current.score ? block : current,
+    null
+  );
+  return best ? [best] : [];
+}
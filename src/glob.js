@@ -0,0 +1,129 @@
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports `*`, `?`, `**` and `[...]` character classes
+ * @param {string} pattern - Glob pattern (always using "/" as separator)
+ * @returns {RegExp} - Regular expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        const body = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+        source += `[${body.replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else if (char === "\\" && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Escapes a string so it can be used literally inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Parses the content of a .gitignore file into a list of rules
+ * @param {string} content - Content of the .gitignore file
+ * @param {string} base - Directory of the .gitignore, relative to the scanned root ("" for the root)
+ * @returns {Array<Object>} - Rules with regex, negate, directoryOnly, anchored and base
+ */
+export function parseGitignore(content, base = "") {
+  const rules = [];
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, "");
+    if (!line || line.startsWith("#")) continue;
+
+    let negate = false;
+    if (line.startsWith("!")) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith("\\#") || line.startsWith("\\!")) {
+      line = line.slice(1);
+    }
+
+    let directoryOnly = false;
+    if (line.endsWith("/")) {
+      directoryOnly = true;
+      line = line.slice(0, -1);
+    }
+    if (!line) continue;
+
+    // A separator at the beginning or middle anchors the pattern to the .gitignore location
+    const anchored = line.includes("/");
+    if (line.startsWith("/")) line = line.slice(1);
+
+    rules.push({
+      regex: globToRegExp(line),
+      negate,
+      directoryOnly,
+      anchored,
+      base,
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Checks whether a path is ignored by a list of rules (the last matching rule wins)
+ * @param {Array<Object>} rules - Rules created by parseGitignore
+ * @param {string} relativePath - Path relative to the scanned root, without trailing slash
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean}
+ */
+export function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+
+    let candidate = relativePath;
+    if (rule.base) {
+      if (!relativePath.startsWith(`${rule.base}/`)) continue;
+      candidate = relativePath.slice(rule.base.length + 1);
+    }
+
+    const subject = rule.anchored
+      ? candidate
+      : candidate.slice(candidate.lastIndexOf("/") + 1);
+
+    if (rule.regex.test(subject)) {
+      ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+}
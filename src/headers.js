@@ -0,0 +1,133 @@
+import path from "path";
+
+// Comment syntax by file extension (or by file name for files without one)
+const COMMENT_STYLES = {
+  line: {
+    prefix: "// ",
+    extensions: [
+      ".js",
+      ".jsx",
+      ".mjs",
+      ".cjs",
+      ".ts",
+      ".tsx",
+      ".java",
+      ".kt",
+      ".kts",
+      ".scala",
+      ".swift",
+      ".go",
+      ".rs",
+      ".c",
+      ".h",
+      ".cpp",
+      ".cc",
+      ".hpp",
+      ".cs",
+      ".dart",
+      ".jsonc",
+      ".scss",
+      ".less",
+    ],
+  },
+  hash: {
+    prefix: "# ",
+    extensions: [
+      ".py",
+      ".rb",
+      ".sh",
+      ".bash",
+      ".zsh",
+      ".ps1",
+      ".pl",
+      ".r",
+      ".yml",
+      ".yaml",
+      ".toml",
+      ".ini",
+      ".cfg",
+      ".conf",
+      ".env",
+      ".tf",
+    ],
+    names: [
+      "Dockerfile",
+      "Makefile",
+      "Gemfile",
+      "Procfile",
+      ".gitignore",
+      ".dockerignore",
+      ".env",
+      ".editorconfig",
+    ],
+  },
+  dashes: { prefix: "-- ", extensions: [".sql", ".lua", ".hs"] },
+  block: { start: "/* ", end: " */", extensions: [".css"] },
+  markup: {
+    start: "<!-- ",
+    end: " -->",
+    extensions: [".html", ".htm", ".xml", ".svg", ".vue", ".svelte", ".md"],
+  },
+};
+
+/**
+ * Finds the comment syntax of a file
+ * @param {string} fileName - File name
+ * @returns {Object|null} - Style with prefix, or start and end; null if the file type has no comments
+ */
+function findCommentStyle(fileName) {
+  const extension = path.posix.extname(fileName).toLowerCase();
+  return (
+    Object.values(COMMENT_STYLES).find(
+      (style) =>
+        style.names?.includes(fileName) ||
+        (extension && style.extensions.includes(extension))
+    ) || null
+  );
+}
+
+/**
+ * Formats a comment as the header of a file, in the comment syntax of its type
+ * @param {string} fileName - File name (its extension picks the syntax)
+ * @param {string} comment - Comment text
+ * @returns {string|null} - Header lines ending with a newline, or null if the file type has no comments
+ */
+export function formatHeaderComment(fileName, comment) {
+  const style = findCommentStyle(fileName);
+  if (!style) return null;
+
+  if (style.prefix) return `${style.prefix}${comment}\n`;
+  return `${style.start}${comment}${style.end}\n`;
+}
+
+/**
+ * Adds a comment at the top of a file's content, after a shebang line if there is one
+ * @param {string} fileName - File name (its extension picks the syntax)
+ * @param {string} comment - Comment text
+ * @param {string} content - Content of the file
+ * @returns {string} - Content with the header (unchanged if the file type has no comments)
+ */
+export function addHeaderComment(fileName, comment, content) {
+  const header = comment && formatHeaderComment(fileName, comment);
+  if (!header) return content;
+
+  const body = content ? `\n${content}` : "";
+  if (content.startsWith("#!")) {
+    const lineEnd = content.indexOf("\n");
+    if (lineEnd === -1) return `${content}\n${header}`;
+    return `${content.slice(0, lineEnd + 1)}${header}${content.slice(
+      lineEnd + 1
+    )}`;
+  }
+  return `${header}${body}`;
+}
+
+/**
+ * Builds the README that describes a directory from its comment
+ * @param {string} dirPath - Path of the directory in the structure ("my-app/src/")
+ * @param {string} comment - Comment of the directory
+ * @returns {string}
+ */
+export function formatDirectoryReadme(dirPath, comment) {
+  return `# ${path.posix.basename(dirPath)}\n\n${comment}\n`;
+}
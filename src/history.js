@@ -0,0 +1,227 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+// File, inside the output directory, where the last run records what it created
+export const RUN_MANIFEST_FILE = ".dircraft-run.json";
+
+// Version of the run manifest format
+const RUN_MANIFEST_VERSION = 1;
+
+/**
+ * Hashes the content of a file
+ * @param {string|Buffer} content - File content
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Converts an absolute or output-relative path into a "/"-separated path relative to the output directory
+ * @param {string} outputDir - Output directory
+ * @param {string} targetPath - Path to convert
+ * @returns {string|null} - Relative path, or null if the path isn't inside the output directory
+ */
+function toManifestPath(outputDir, targetPath) {
+  const relative = path.relative(
+    path.resolve(outputDir),
+    path.resolve(targetPath)
+  );
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return null;
+  }
+  return relative.split(path.sep).join("/");
+}
+
+/**
+ * Builds the manifest of a run from the changes it made
+ * Only changes inside the output directory are recorded
+ * @param {Array<Object>} journal - Changes made by the run ({type, path, createdAt, hash?, backupPath?, target?})
+ * @param {string} outputDir - Output directory of the run
+ * @param {Date} date - Time of the run (now by default)
+ * @returns {Object} - Manifest with version, createdAt and items
+ */
+export function createRunManifest(journal, outputDir, date = new Date()) {
+  const items = [];
+  for (const change of journal) {
+    const itemPath = toManifestPath(outputDir, change.path);
+    if (!itemPath) continue;
+
+    const item = { type: change.type, path: itemPath };
+    if (change.type === "backup") {
+      item.backupPath = toManifestPath(outputDir, change.backupPath);
+    }
+    if (change.hash) item.hash = change.hash;
+    if (change.target) item.target = change.target;
+    item.createdAt = change.createdAt;
+    items.push(item);
+  }
+
+  return {
+    version: RUN_MANIFEST_VERSION,
+    createdAt: date.toISOString(),
+    items,
+  };
+}
+
+/**
+ * Reads the manifest of the last run in an output directory
+ * @param {string} outputDir - Output directory
+ * @param {Object} fileSystem - File system to use (fs by default)
+ * @returns {Promise<Object|null>} - Manifest, or null if no run was recorded
+ */
+export async function readRunManifest(outputDir, fileSystem = fs) {
+  let text;
+  try {
+    text = await fileSystem.readFile(
+      path.join(outputDir, RUN_MANIFEST_FILE),
+      "utf8"
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    throw new Error(
+      `Invalid run manifest ${RUN_MANIFEST_FILE}: ${error.message}`
+    );
+  }
+  if (
+    manifest?.version !== RUN_MANIFEST_VERSION ||
+    !Array.isArray(manifest.items)
+  ) {
+    throw new Error(
+      `Unsupported run manifest ${RUN_MANIFEST_FILE} (expected version ${RUN_MANIFEST_VERSION})`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * Reads the type of a path
+ * @param {Object} fileSystem - File system to use
+ * @param {string} targetPath - Path to check
+ * @returns {Promise<"file"|"directory"|null>} - null if the path doesn't exist
+ */
+async function statType(fileSystem, targetPath) {
+  try {
+    const stats = await fileSystem.stat(targetPath);
+    return stats.isDirectory() ? "directory" : "file";
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+    throw error;
+  }
+}
+
+/**
+ * Reads the target of a symlink without following it
+ * @param {Object} fileSystem - File system to use
+ * @param {string} targetPath - Path of the symlink
+ * @returns {Promise<string|null|undefined>} - Target, null if the path isn't a symlink,
+ *   undefined if it doesn't exist
+ */
+async function readLinkTarget(fileSystem, targetPath) {
+  try {
+    const stats = await fileSystem.lstat(targetPath);
+    if (!stats.isSymbolicLink()) return null;
+    return await fileSystem.readlink(targetPath);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return undefined;
+    throw error;
+  }
+}
+
+/**
+ * Decides what undoing a run does with each item it created, newest first
+ *
+ * - Files are removed unless their content changed since the run
+ * - Symlinks are removed unless they now point somewhere else
+ * - Directories are removed if everything left in them is removed as well
+ * - Files moved aside by the backup policy are restored once the new file is removed
+ *
+ * @param {Object} manifest - Run manifest returned by readRunManifest
+ * @param {string} outputDir - Output directory of the run
+ * @param {Object} fileSystem - File system to use (fs by default)
+ * @returns {Promise<Array<Object>>} - Steps with item, action ("remove", "restore", "keep"
+ *   or "missing"), targetPath and, for kept items, the reason
+ */
+export async function planUndo(manifest, outputDir, fileSystem = fs) {
+  const steps = [];
+  const removed = new Set();
+
+  for (const item of [...manifest.items].reverse()) {
+    const targetPath = path.join(outputDir, item.path);
+    const step = { item, targetPath };
+    steps.push(step);
+
+    if (item.type === "backup") {
+      const backupPath = path.join(outputDir, item.backupPath);
+      const currentType = await statType(fileSystem, targetPath);
+      if (!(await statType(fileSystem, backupPath))) {
+        step.action = "missing";
+      } else if (currentType && !removed.has(targetPath)) {
+        step.action = "keep";
+        step.targetPath = backupPath;
+        step.reason = `not restored because ${item.path} was modified`;
+      } else {
+        step.action = "restore";
+        step.backupPath = backupPath;
+      }
+      continue;
+    }
+
+    if (item.type === "symlink") {
+      const target = await readLinkTarget(fileSystem, targetPath);
+      if (target === undefined) {
+        step.action = "missing";
+        removed.add(targetPath);
+      } else if (target === null) {
+        step.action = "keep";
+        step.reason = "it is no longer a symlink";
+      } else if (target !== item.target) {
+        step.action = "keep";
+        step.reason = `it now points to ${target}`;
+      } else {
+        step.action = "remove";
+        removed.add(targetPath);
+      }
+      continue;
+    }
+
+    const currentType = await statType(fileSystem, targetPath);
+    if (!currentType) {
+      step.action = "missing";
+      removed.add(targetPath);
+    } else if (currentType !== item.type) {
+      step.action = "keep";
+      step.reason = `it is now a ${currentType}`;
+    } else if (item.type === "file") {
+      const content = await fileSystem.readFile(targetPath);
+      if (hashContent(content) === item.hash) {
+        step.action = "remove";
+        removed.add(targetPath);
+      } else {
+        step.action = "keep";
+        step.reason = "modified since it was created";
+      }
+    } else {
+      const leftovers = (await fileSystem.readdir(targetPath)).filter(
+        (name) => !removed.has(path.join(targetPath, name))
+      );
+      if (leftovers.length === 0) {
+        step.action = "remove";
+        removed.add(targetPath);
+      } else {
+        step.action = "keep";
+        step.reason = `not empty (${leftovers.join(", ")})`;
+      }
+    }
+  }
+
+  return steps;
+}
@@ -0,0 +1,526 @@
+// Keys of an object that describes a single file instead of a directory
+const FILE_FIELDS = ["comment", "content"];
+
+/**
+ * Checks whether a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks whether an object describes a file ({ comment, content }) rather than a directory
+ * Without content, { comment } is a directory with a comment, except under the key "comment",
+ * which can only name a file (a directory named "comment" is written "comment/")
+ * @param {*} value - Manifest value
+ * @param {string} key - Key of the value
+ * @returns {boolean}
+ */
+function isFileDescriptor(value, key) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return (
+    (keys.includes("content") || (key === "comment" && keys.length > 0)) &&
+    keys.every(
+      (field) => FILE_FIELDS.includes(field) && typeof value[field] === "string"
+    )
+  );
+}
+
+/**
+ * Converts a manifest into the structure returned by parseTreeStructure
+ *
+ * - Objects and arrays are directories, keys ending with "/" are always directories
+ * - null or a string (the comment) is a file
+ * - { comment, content } describes a file with an optional comment and content
+ * - A "comment" string inside a directory object is the comment of that directory, so
+ *   { comment } alone is a directory with a comment
+ *
+ * @param {Object|Array} manifest - Parsed JSON or YAML manifest
+ * @returns {Object} - Parsed structure with paths, comments and contents
+ */
+export function manifestToStructure(manifest) {
+  const paths = [];
+  const comments = {};
+  const contents = {};
+
+  const addEntry = (parentPath, key, value) => {
+    const isDirectory =
+      key.endsWith("/") ||
+      ((isPlainObject(value) || Array.isArray(value)) &&
+        !isFileDescriptor(value, key));
+
+    if (isDirectory) {
+      const dirPath = `${parentPath}${key.replace(/\/?$/, "/")}`;
+      paths.push(dirPath);
+      if (typeof value === "string") {
+        comments[dirPath] = value;
+      } else if (value !== null) {
+        collect(value, dirPath);
+      }
+      return;
+    }
+
+    const filePath = `${parentPath}${key}`;
+    paths.push(filePath);
+    if (typeof value === "string") {
+      comments[filePath] = value;
+    } else if (isFileDescriptor(value, key)) {
+      if (value.comment) comments[filePath] = value.comment;
+      if (value.content !== undefined) contents[filePath] = value.content;
+    } else if (value !== null) {
+      throw new Error(
+        `Invalid manifest entry "${filePath}": expected an object, an array, a string or null`
+      );
+    }
+  };
+
+  const collect = (node, parentPath) => {
+    if (Array.isArray(node)) {
+      for (const item of node) {
+        if (typeof item === "string") {
+          addEntry(parentPath, item, null);
+        } else if (isPlainObject(item)) {
+          collect(item, parentPath);
+        } else if (item !== null) {
+          throw new Error(
+            `Invalid manifest item in "${
+              parentPath || "/"
+            }": expected a name or an object`
+          );
+        }
+      }
+      return;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "comment" && parentPath && typeof value === "string") {
+        comments[parentPath] = value;
+      } else {
+        addEntry(parentPath, key, value);
+      }
+    }
+  };
+
+  if (!isPlainObject(manifest) && !Array.isArray(manifest)) {
+    throw new Error("Invalid manifest: expected an object or an array");
+  }
+  collect(manifest, "");
+
+  return { paths, comments, contents };
+}
+
+/**
+ * Converts a structure into a manifest that manifestToStructure reads back
+ *
+ * - Directories are objects under a key ending with "/", with their comment in "comment"
+ * - Files are null, their comment, or { comment, content } if they have content
+ *   ({ comment } for a file named "comment")
+ *
+ * @param {Array<string>} paths - Paths of the structure (directories end with "/")
+ * @param {Object} comments - Map of comments by path
+ * @param {Object} contents - Map of file contents by path
+ * @returns {Object} - Manifest
+ */
+export function structureToManifest(paths, comments = {}, contents = {}) {
+  const manifest = {};
+  const nodes = new Map([["", manifest]]);
+
+  const ensureDirectory = (dirPath) => {
+    if (nodes.has(dirPath)) return nodes.get(dirPath);
+
+    const trimmed = dirPath.slice(0, -1);
+    const separator = trimmed.lastIndexOf("/");
+    const parent = ensureDirectory(trimmed.slice(0, separator + 1));
+    const node = comments[dirPath] ? { comment: comments[dirPath] } : {};
+    parent[`${trimmed.slice(separator + 1)}/`] = node;
+    nodes.set(dirPath, node);
+    return node;
+  };
+
+  for (const entryPath of paths) {
+    if (entryPath.endsWith("/")) {
+      ensureDirectory(entryPath);
+      continue;
+    }
+
+    const separator = entryPath.lastIndexOf("/");
+    const parent = ensureDirectory(entryPath.slice(0, separator + 1));
+    const name = entryPath.slice(separator + 1);
+    const comment = comments[entryPath];
+    if (name === "comment" && typeof parent.comment === "string") {
+      throw new Error(
+        `The comment of "${entryPath.slice(
+          0,
+          separator + 1
+        )}" can't be written next to a file named "comment"`
+      );
+    }
+    if (contents[entryPath] !== undefined) {
+      parent[name] = {
+        ...(comment && { comment }),
+        content: contents[entryPath],
+      };
+    } else if (comment) {
+      // A plain string named "comment" would be read as the comment of the directory
+      parent[name] = name === "comment" ? { comment } : comment;
+    } else {
+      parent[name] = null;
+    }
+  }
+
+  return manifest;
+}
+
+// Keys that can be written without quotes (see parseKey)
+const PLAIN_YAML_KEY = /^(?:[^\s"'#-][^:]*?|-[^\s:][^:]*?)$/;
+
+/**
+ * Writes a scalar so that parseYaml reads it back as the same string
+ * @param {string|null} value - Value to write
+ * @returns {string}
+ */
+function stringifyYamlScalar(value) {
+  if (value === null) return "~";
+  const needsQuotes =
+    !value ||
+    value !== value.trim() ||
+    /^[~"'[{|>!&*%@`#]/.test(value) ||
+    value === "null" ||
+    /\s#|[\n\r\t]/.test(value);
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+/**
+ * Writes a key so that parseKey reads it back
+ * @param {string} key - Key to write
+ * @returns {string}
+ */
+function stringifyYamlKey(key) {
+  return PLAIN_YAML_KEY.test(key) && !/\s#|\s$/.test(key)
+    ? key
+    : JSON.stringify(key);
+}
+
+/**
+ * Writes a YAML document with the subset that parseYaml supports: block mappings, null (~),
+ * empty mappings ({}), plain or double-quoted scalars and literal block scalars (| and |-)
+ * for multi-line strings
+ * @param {Object} value - Object to write (values are objects, strings or null)
+ * @returns {string} - YAML text, ending with a newline
+ */
+export function stringifyYaml(value) {
+  const lines = [];
+
+  const writeMapping = (mapping, indent) => {
+    const pad = " ".repeat(indent);
+    for (const [key, item] of Object.entries(mapping)) {
+      const prefix = `${pad}${stringifyYamlKey(key)}:`;
+      if (item !== null && typeof item === "object") {
+        if (Object.keys(item).length === 0) {
+          lines.push(`${prefix} {}`);
+        } else {
+          lines.push(prefix);
+          writeMapping(item, indent + 2);
+        }
+        continue;
+      }
+
+      // Multi-line strings are literal blocks, unless the block would lose whitespace
+      const blockLines =
+        typeof item === "string" && item.includes("\n")
+          ? item.replace(/\n$/, "").split("\n")
+          : null;
+      const keepsWhitespace =
+        blockLines &&
+        !/\n\n$/.test(item) &&
+        !/\r/.test(item) &&
+        !blockLines
+          .filter((line) => line.trim())
+          .every((line) => /^\s/.test(line));
+      if (!keepsWhitespace) {
+        lines.push(`${prefix} ${stringifyYamlScalar(item)}`);
+        continue;
+      }
+
+      lines.push(`${prefix} ${item.endsWith("\n") ? "|" : "|-"}`);
+      for (const line of blockLines) {
+        lines.push(line ? `${pad}  ${line}` : "");
+      }
+    }
+  };
+
+  if (Object.keys(value).length === 0) return "{}\n";
+  writeMapping(value, 0);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Parses a YAML document
+ * Supports the subset needed for manifests: block mappings and sequences,
+ * plain and quoted scalars, null (~), empty flow collections ({} and []),
+ * flow sequences of scalars and block scalars (| and >). Plain scalars are strings.
+ * @param {string} text - YAML text
+ * @returns {*} - Parsed value
+ */
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw, index) => ({
+    raw,
+    number: index + 1,
+    indent: raw.match(/^ */)[0].length,
+    text: stripYamlComment(raw).trim(),
+  }));
+  let position = 0;
+
+  const fail = (line, message) => {
+    throw new Error(`Invalid YAML at line ${line.number}: ${message}`);
+  };
+
+  const skipBlank = () => {
+    while (
+      position < lines.length &&
+      (!lines[position].text || lines[position].text === "---")
+    ) {
+      position++;
+    }
+  };
+
+  // Reads the lines of a block scalar that are indented deeper than parentIndent
+  const readBlockScalar = (indicator, parentIndent) => {
+    const blockLines = [];
+    while (
+      position < lines.length &&
+      (!lines[position].raw.trim() || lines[position].indent > parentIndent)
+    ) {
+      blockLines.push(lines[position].raw);
+      position++;
+    }
+    while (blockLines.length && !blockLines[blockLines.length - 1].trim()) {
+      blockLines.pop();
+    }
+
+    const indent = Math.min(
+      ...blockLines
+        .filter((line) => line.trim())
+        .map((line) => line.match(/^ */)[0].length)
+    );
+    const body = blockLines.map((line) => line.slice(indent));
+    const joined = indicator.startsWith(">")
+      ? body.join("\n").replace(/([^\n])\n(?=[^\n])/g, "$1 ")
+      : body.join("\n");
+
+    return indicator.endsWith("-") || !joined ? joined : `${joined}\n`;
+  };
+
+  // Parses the value after "key:" or "- ", which may continue on deeper lines
+  const parseValue = (valueText, line, parentIndent) => {
+    if (/^[|>][-+]?$/.test(valueText)) {
+      return readBlockScalar(valueText, parentIndent);
+    }
+    if (valueText) return parseScalar(valueText, line);
+
+    skipBlank();
+    if (position < lines.length && lines[position].indent > parentIndent) {
+      return parseBlock(lines[position].indent);
+    }
+    // A sequence may be indented at the same level as its key
+    if (
+      position < lines.length &&
+      lines[position].indent === parentIndent &&
+      /^-( |$)/.test(lines[position].text)
+    ) {
+      return parseBlock(parentIndent, true);
+    }
+    return null;
+  };
+
+  const parseScalar = (valueText, line) => {
+    if (valueText === "~" || valueText === "null") return null;
+    if (valueText === "{}") return {};
+    if (valueText === "[]") return [];
+    if (valueText.startsWith("[") && valueText.endsWith("]")) {
+      return splitFlowSequence(valueText.slice(1, -1)).map((item) =>
+        parseScalar(item, line)
+      );
+    }
+    if (valueText.startsWith('"')) {
+      try {
+        return JSON.parse(valueText);
+      } catch (error) {
+        fail(line, `malformed double-quoted string ${valueText}`);
+      }
+    }
+    if (valueText.startsWith("'")) {
+      if (!/^'(?:[^']|'')*'$/.test(valueText)) {
+        fail(line, `malformed single-quoted string ${valueText}`);
+      }
+      return valueText.slice(1, -1).replace(/''/g, "'");
+    }
+    if (valueText.startsWith("{")) {
+      fail(line, "flow mappings are not supported");
+    }
+    return valueText;
+  };
+
+  const parseBlock = (indent, sequenceAtParentIndent = false) => {
+    skipBlank();
+    const first = lines[position];
+    const isSequence = /^-( |$)/.test(first.text);
+    const result = isSequence ? [] : {};
+
+    while (position < lines.length) {
+      skipBlank();
+      if (position >= lines.length) break;
+
+      const line = lines[position];
+      if (line.indent < indent) break;
+      if (line.indent > indent) fail(line, "unexpected indentation");
+
+      const isItem = /^-( |$)/.test(line.text);
+      if (isItem !== isSequence) {
+        // A key after a sequence that shares its indentation ends the sequence
+        if (sequenceAtParentIndent && !isItem) break;
+        fail(line, "cannot mix sequence items and mapping keys");
+      }
+
+      position++;
+
+      if (isSequence) {
+        const itemText = line.text.slice(1).trim();
+        const itemIndent =
+          line.indent +
+          line.raw.slice(line.indent + 1).match(/^ */)[0].length +
+          1;
+
+        if (parseKey(itemText)) {
+          // "- key: value" starts a mapping whose keys are aligned after the dash
+          position--;
+          lines[position] = {
+            ...line,
+            indent: itemIndent,
+            text: itemText,
+          };
+          result.push(parseBlock(itemIndent));
+        } else {
+          result.push(parseValue(itemText, line, line.indent));
+        }
+      } else {
+        const entry = parseKey(line.text);
+        if (!entry) fail(line, `expected "key: value", got "${line.text}"`);
+        if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+          fail(line, `duplicate key "${entry.key}"`);
+        }
+        result[entry.key] = parseValue(entry.value, line, line.indent);
+      }
+    }
+
+    return result;
+  };
+
+  skipBlank();
+  if (position >= lines.length) return null;
+
+  const first = lines[position];
+  if (!/^-( |$)/.test(first.text) && !parseKey(first.text)) {
+    position++;
+    return parseScalar(first.text, first);
+  }
+
+  const value = parseBlock(first.indent);
+  skipBlank();
+  if (position < lines.length) {
+    fail(lines[position], "unexpected content after the document");
+  }
+  return value;
+}
+
+/**
+ * Splits a "key: value" line, honouring quoted keys
+ * @param {string} text - Line text without indentation
+ * @returns {{key: string, value: string}|null} - null if the line isn't a mapping entry
+ */
+function parseKey(text) {
+  const quoted = text.match(
+    /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s+(.*))?$/
+  );
+  if (quoted) {
+    const key = quoted[1].startsWith('"')
+      ? JSON.parse(quoted[1])
+      : quoted[1].slice(1, -1).replace(/''/g, "'");
+    return { key, value: (quoted[2] || "").trim() };
+  }
+
+  const plain = text.match(/^([^\s"'#-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (plain) {
+    return { key: plain[1], value: (plain[2] || "").trim() };
+  }
+  return null;
+}
+
+/**
+ * Removes a trailing "# comment" that is outside quotes
+ * @param {string} line - Raw line
+ * @returns {string}
+ */
+function stripYamlComment(line) {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === "\\" && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+}
+
+/**
+ * Splits the items of a flow sequence, honouring quotes
+ * @param {string} body - Text between the brackets
+ * @returns {Array<string>}
+ */
+function splitFlowSequence(body) {
+  const items = [];
+  let current = "";
+  let quote = null;
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ",") {
+      items.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) items.push(current.trim());
+  return items;
+}
+
+/**
+ * Parses a JSON or YAML manifest into the structure returned by parseTreeStructure
+ * @param {string} text - Manifest text
+ * @param {string} format - "json" or "yaml"
+ * @returns {Object} - Parsed structure with paths, comments and contents
+ */
+export function parseManifest(text, format) {
+  if (format === "json") {
+    let manifest;
+    try {
+      manifest = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON manifest: ${error.message}`);
+    }
+    return manifestToStructure(manifest);
+  }
+
+  return manifestToStructure(parseYaml(text));
+}
@@ -0,0 +1,158 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { RUN_MANIFEST_FILE } from "./history.js";
+
+// ANSI colours used to display a plan
+const COLORS = {
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  gray: "\x1b[90m",
+};
+const RESET = "\x1b[0m";
+
+// Colour of each status of a plan
+export const STATUS_COLORS = {
+  new: "green",
+  exists: "yellow",
+  conflict: "red",
+  untouched: "gray",
+};
+
+/**
+ * Wraps text in an ANSI colour
+ * @param {string} text - Text to colour
+ * @param {string} color - Name of the colour (see COLORS)
+ * @param {boolean} enabled - If false, the text is returned as is
+ * @returns {string}
+ */
+export function colorize(text, color, enabled = true) {
+  return enabled && COLORS[color] ? `${COLORS[color]}${text}${RESET}` : text;
+}
+
+/**
+ * Reads the type of a path
+ * File systems without stat (such as minimal mocks) are treated as empty
+ * @param {Object} fileSystem - File system to use
+ * @param {string} targetPath - Path to check
+ * @param {boolean} followLinks - If false, a symlink is read as itself rather than as
+ *   what it points to (when the file system has lstat)
+ * @returns {Promise<"file"|"directory"|"symlink"|null>} - null if the path doesn't exist
+ */
+async function readType(fileSystem, targetPath, followLinks = true) {
+  if (typeof fileSystem.stat !== "function") return null;
+
+  try {
+    const stats =
+      followLinks || typeof fileSystem.lstat !== "function"
+        ? await fileSystem.stat(targetPath)
+        : await fileSystem.lstat(targetPath);
+    if (stats.isSymbolicLink?.()) return "symlink";
+    return stats.isDirectory() ? "directory" : "file";
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return null;
+    throw error;
+  }
+}
+
+/**
+ * Compares a structure with what already exists in the output directory
+ *
+ * - new: the entry doesn't exist yet
+ * - exists: an entry of the same type exists (symlinks count as files); symlinks of the
+ *   structure that already exist with the same target are marked upToDate
+ * - conflict: a file exists where the structure has a directory, or the other way around
+ * - untouched: entries of existing directories of the structure that it doesn't list
+ *   (directories are not descended into)
+ *
+ * @param {Array<string>} directories - Directories of the structure (ending with "/")
+ * @param {Array<string>} files - Files and symlinks of the structure
+ * @param {string} outputDir - Directory where the structure will be created
+ * @param {Object} options - Additional options
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @param {Object} options.links - Targets of the symlinks of the structure, by entry path
+ * @returns {Promise<Object>} - Plan with entries ({path, type, status, upToDate}), untouched
+ *   paths and counts by status
+ */
+export async function planStructure(
+  directories,
+  files,
+  outputDir,
+  options = {}
+) {
+  const fileSystem = options.fileSystem || fs;
+  const links = options.links || {};
+  const listed = new Set([...directories, ...files]);
+
+  const entries = [];
+  for (const entryPath of [...directories, ...files]) {
+    const type = entryPath.endsWith("/") ? "directory" : "file";
+    const targetPath = path.join(outputDir, entryPath);
+    // Symlinks of the structure are compared with what is there, not with what it points to
+    const actual = await readType(fileSystem, targetPath, !links[entryPath]);
+    let status = "new";
+    if (actual) {
+      status = actual === type || actual === "symlink" ? "exists" : "conflict";
+    }
+    const entry = { path: entryPath, type, status };
+    if (actual === "symlink") {
+      entry.upToDate =
+        (await fileSystem.readlink(targetPath)) === links[entryPath];
+    }
+    entries.push(entry);
+  }
+
+  const untouched = [];
+  if (typeof fileSystem.readdir === "function") {
+    for (const { path: dir } of entries.filter(
+      (entry) => entry.type === "directory" && entry.status === "exists"
+    )) {
+      const children = await fileSystem.readdir(path.join(outputDir, dir), {
+        withFileTypes: true,
+      });
+      for (const child of children) {
+        const childPath = `${dir}${child.name}`;
+        if (child.name === RUN_MANIFEST_FILE) continue;
+        if (listed.has(childPath) || listed.has(`${childPath}/`)) continue;
+        untouched.push(`${childPath}${child.isDirectory() ? "/" : ""}`);
+      }
+    }
+  }
+  untouched.sort();
+
+  const counts = {
+    new: 0,
+    exists: 0,
+    conflict: 0,
+    untouched: untouched.length,
+  };
+  for (const entry of entries) counts[entry.status]++;
+
+  return { entries, untouched, counts };
+}
+
+/**
+ * Summarizes the counts of a plan in one line
+ * @param {Object} counts - Counts by status returned by planStructure, with an optional
+ *   count of entries to delete instead of the untouched ones (sync mode)
+ * @param {boolean} color - If true, each count gets the colour of its status
+ * @returns {string} - Summary such as "3 new, 1 existing, 0 conflicts, 2 untouched"
+ */
+export function formatPlanCounts(counts, color = false) {
+  return [
+    colorize(`${counts.new} new`, STATUS_COLORS.new, color),
+    colorize(`${counts.exists} existing`, STATUS_COLORS.exists, color),
+    colorize(
+      `${counts.conflict} conflict${counts.conflict === 1 ? "" : "s"}`,
+      STATUS_COLORS.conflict,
+      color
+    ),
+    counts.delete === undefined
+      ? colorize(
+          `${counts.untouched} untouched`,
+          STATUS_COLORS.untouched,
+          color
+        )
+      : colorize(`${counts.delete} to delete`, "red", color),
+  ].join(", ");
+}
@@ -0,0 +1,195 @@
+import path from "path";
+
+// Extensions of JavaScript and TypeScript modules
+const SCRIPT_EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx"];
+
+// Test files: Button.test.jsx, utils.spec.ts, ...
+const TEST_FILE = /^(.+)\.(?:test|spec)(\.[cm]?[jt]sx?)$/;
+
+/**
+ * Turns a name into a valid npm package name
+ * @param {string} name - Directory name
+ * @returns {string}
+ */
+function toPackageName(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9._~-]+/g, "-")
+      .replace(/^[._-]+|-+$/g, "") || "my-package"
+  );
+}
+
+/**
+ * Builds the context that content providers receive for a file of the structure
+ * @param {string} filePath - Path of the file in the structure ("my-app/src/index.js")
+ * @param {Object} structure - Structure being created
+ * @param {Array<string>} structure.paths - Paths of the structure
+ * @param {Object} structure.comments - Map of comments by path
+ * @param {Object} structure.contents - Map of the contents given by the structure, by path
+ * @param {string} structure.outputDir - Directory where the structure is created
+ * @returns {Object} - Context with path, name, baseName, extension, directory, directoryName,
+ *   comment, paths, contents and outputDir
+ */
+export function createFileContext(filePath, structure) {
+  const name = path.posix.basename(filePath);
+  const extension = path.posix.extname(name);
+  const directory = filePath.slice(0, filePath.length - name.length);
+
+  return {
+    path: filePath,
+    name,
+    baseName: name.slice(0, name.length - extension.length),
+    extension: extension.toLowerCase(),
+    directory,
+    // Name of the directory that holds the file, the output directory for top-level files
+    directoryName: directory
+      ? path.posix.basename(directory)
+      : path.basename(path.resolve(structure.outputDir || ".")),
+    comment: structure.comments?.[filePath] || "",
+    paths: structure.paths || [],
+    contents: structure.contents || {},
+    outputDir: structure.outputDir || ".",
+  };
+}
+
+/**
+ * Tells whether a file can use ESM syntax: always for the extensions that bundlers and tsc
+ * compile, and for .js files when the closest package.json of the structure has
+ * "type": "module" (the generated ones do)
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {boolean}
+ */
+function isModuleFile(file) {
+  if (file.extension === ".cjs") return false;
+  if (file.extension !== ".js") return true;
+
+  let directory = file.directory;
+  for (;;) {
+    const manifest = `${directory}package.json`;
+    if (file.paths.includes(manifest)) {
+      const content = file.contents[manifest];
+      return content === undefined || /"type"\s*:\s*"module"/.test(content);
+    }
+    if (!directory) return false;
+    directory = directory.replace(/[^/]+\/$/, "");
+  }
+}
+
+/**
+ * package.json with the name of the directory that holds it, as an ES module package
+ * like the stubs of its scripts
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {string|undefined}
+ */
+export function packageJsonProvider(file) {
+  if (file.name !== "package.json") return undefined;
+
+  const manifest = {
+    name: toPackageName(file.directoryName),
+    version: "0.1.0",
+    private: true,
+    type: "module",
+  };
+  return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Markdown files start with a title: the directory name for READMEs, the file name otherwise
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {string|undefined}
+ */
+export function markdownProvider(file) {
+  if (file.extension !== ".md") return undefined;
+
+  const title = /^readme$/i.test(file.baseName)
+    ? file.directoryName
+    : file.baseName;
+  return `# ${title}\n`;
+}
+
+/**
+ * Test files import the module they test, found next to them or, for files in
+ * __tests__, in the parent directory, when they can use ESM
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {string|undefined}
+ */
+export function testFileProvider(file) {
+  const match = file.name.match(TEST_FILE);
+  if (!match) return undefined;
+
+  const [, subject] = match;
+  const candidates = [{ directory: file.directory, prefix: "./" }];
+  if (/(?:^|\/)__tests__\/$/.test(file.directory)) {
+    candidates.push({
+      directory: file.directory.replace(/__tests__\/$/, ""),
+      prefix: "../",
+    });
+  }
+
+  let importLine = "";
+  for (const { directory, prefix } of isModuleFile(file) ? candidates : []) {
+    const sibling = SCRIPT_EXTENSIONS.map(
+      (extension) => `${directory}${subject}${extension}`
+    ).find((candidate) => file.paths.includes(candidate));
+    if (sibling) {
+      const identifier = subject.replace(/[^\w$]+(.)?/g, (_, next = "") =>
+        next.toUpperCase()
+      );
+      importLine = `import * as ${identifier} from "${prefix}${path.posix.basename(
+        sibling
+      )}";\n\n`;
+      break;
+    }
+  }
+
+  return `${importLine}describe("${subject}", () => {\n  test.todo("works");\n});\n`;
+}
+
+/**
+ * JSX and TSX files named in PascalCase are React components
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {string|undefined}
+ */
+export function reactComponentProvider(file) {
+  if (![".jsx", ".tsx"].includes(file.extension)) return undefined;
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(file.baseName)) return undefined;
+
+  return `export default function ${file.baseName}() {\n  return <div>${file.baseName}</div>;\n}\n`;
+}
+
+/**
+ * Other JavaScript and TypeScript files are empty modules, in the module system they use;
+ * .js files that may be CommonJS are left empty
+ * @param {Object} file - File context (see createFileContext)
+ * @returns {string|undefined}
+ */
+export function scriptModuleProvider(file) {
+  if (file.extension === ".cjs") return "module.exports = {};\n";
+  if (!SCRIPT_EXTENSIONS.includes(file.extension)) return undefined;
+  return isModuleFile(file) ? "export {};\n" : undefined;
+}
+
+// Providers consulted in order; the first one that returns a string wins
+export const DEFAULT_CONTENT_PROVIDERS = [
+  packageJsonProvider,
+  markdownProvider,
+  testFileProvider,
+  reactComponentProvider,
+  scriptModuleProvider,
+];
+
+/**
+ * Asks the content providers for the starter content of a file
+ * @param {Object} file - File context (see createFileContext)
+ * @param {Array<Function>} providers - Functions that receive the file context and return its
+ *   content, or undefined to let the next provider decide
+ * @returns {string} - Starter content ("" if no provider knows the file)
+ */
+export function provideContent(file, providers = DEFAULT_CONTENT_PROVIDERS) {
+  for (const provider of providers) {
+    const content = provider(file);
+    if (typeof content === "string") return content;
+  }
+  return "";
+}
@@ -0,0 +1,99 @@
+/**
+ * Builds a hierarchy of nodes from a list of paths in the format returned by parseTreeStructure
+ * @param {Array<string>} paths - List of paths (directories end with "/")
+ * @returns {Array<Object>} - Top-level nodes, each with name, path, isDirectory and children
+ */
+export function buildTree(paths) {
+  const roots = [];
+  const nodes = new Map();
+
+  const ensureNode = (entryPath) => {
+    if (nodes.has(entryPath)) return nodes.get(entryPath);
+
+    const isDirectory = entryPath.endsWith("/");
+    const trimmed = isDirectory ? entryPath.slice(0, -1) : entryPath;
+    const separator = trimmed.lastIndexOf("/");
+    const node = {
+      name: trimmed.slice(separator + 1) + (isDirectory ? "/" : ""),
+      path: entryPath,
+      isDirectory,
+      children: [],
+    };
+    nodes.set(entryPath, node);
+
+    if (separator === -1) {
+      roots.push(node);
+    } else {
+      ensureNode(trimmed.slice(0, separator + 1)).children.push(node);
+    }
+
+    return node;
+  };
+
+  for (const entryPath of paths) {
+    ensureNode(entryPath);
+  }
+
+  return roots;
+}
+
+/**
+ * Renders a list of paths as an ASCII tree using ├──, └── and │
+ * @param {Array<string>} paths - List of paths (directories end with "/")
+ * @param {Object} options - Additional options
+ * @param {Object} options.comments - Map of comments by path, rendered as an aligned "# comment" column
+ * @param {Object} options.links - Map of symlink targets by path, rendered as "name -> target"
+ * @param {boolean} options.sort - If true, directories come first, then files, alphabetically
+ *   (otherwise entries keep the order of the paths)
+ * @returns {string} - Tree text that parseTreeStructure accepts; several top-level entries
+ *   are rendered below a "." root, so that they don't read back as children of the first one
+ */
+export function renderTree(paths, options = {}) {
+  const comments = options.comments || {};
+  const links = options.links || {};
+  const label = (node) =>
+    links[node.path] ? `${node.name} -> ${links[node.path]}` : node.name;
+  const order = (nodes) =>
+    options.sort
+      ? [...nodes].sort((a, b) => {
+          if (a.isDirectory !== b.isDirectory) return a.isDirectory ? -1 : 1;
+          return a.name.localeCompare(b.name, "en");
+        })
+      : nodes;
+  const lines = [];
+
+  const renderChildren = (nodes, prefix) => {
+    const children = order(nodes);
+    children.forEach((child, index) => {
+      const isLast = index === children.length - 1;
+      lines.push({
+        text: `${prefix}${isLast ? "└── " : "├── "}${label(child)}`,
+        path: child.path,
+      });
+      renderChildren(child.children, prefix + (isLast ? "    " : "│   "));
+    });
+  };
+
+  const roots = buildTree(paths);
+  if (roots.length > 1) {
+    lines.push({ text: ".", path: null });
+    renderChildren(roots, "");
+  } else {
+    for (const root of roots) {
+      lines.push({ text: label(root), path: root.path });
+      renderChildren(root.children, "");
+    }
+  }
+
+  // Align all comments on the same column, past the longest entry
+  const commentColumn =
+    Math.max(0, ...lines.map((line) => line.text.length)) + 2;
+
+  return lines
+    .map((line) =>
+      comments[line.path]
+        ? `${line.text.padEnd(commentColumn)}# ${comments[line.path]}`
+        : line.text
+    )
+    .join("\n");
+}
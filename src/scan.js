@@ -0,0 +1,102 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { parseGitignore, isIgnored } from "./glob.js";
+import { renderTree } from "./render.js";
+
+// Entries that are never included in a scan
+const ALWAYS_IGNORED = [".git"];
+
+/**
+ * Sorts directory entries: directories first, then files, alphabetically
+ * @param {Array<fs.Dirent>} entries - Entries returned by readdir
+ * @returns {Array<fs.Dirent>}
+ */
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => {
+    if (a.isDirectory() !== b.isDirectory()) return a.isDirectory() ? -1 : 1;
+    return a.name.localeCompare(b.name, "en");
+  });
+}
+
+/**
+ * Scans an existing directory and renders it as an ASCII tree
+ * Symlinks are not followed; they are rendered as "name -> target"
+ * @param {string} rootDir - Directory to scan
+ * @param {Object} options - Additional options
+ * @param {number} options.depth - Maximum depth to descend (Infinity by default)
+ * @param {boolean} options.gitignore - If false, .gitignore files are not honoured (true by default)
+ * @param {Array<string>} options.ignore - Additional gitignore-style patterns to exclude
+ * @param {Object} options.comments - Map of comments by path to render in a "# comment" column
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{text: string, paths: Array<string>, links: Object}>} - Rendered tree, the paths
+ *   it contains and the targets of its symlinks by path
+ */
+export async function scanDirectory(rootDir, options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const maxDepth = options.depth ?? Infinity;
+  const useGitignore = options.gitignore !== false;
+  const rules = parseGitignore((options.ignore || []).join("\n"));
+
+  const rootName = `${path.basename(path.resolve(rootDir))}/`;
+  const paths = [rootName];
+  const links = {};
+
+  const loadGitignore = async (dirPath, relativeDir) => {
+    if (!useGitignore) return [];
+    try {
+      const content = await fileSystem.readFile(
+        path.join(dirPath, ".gitignore"),
+        "utf8"
+      );
+      return parseGitignore(content, relativeDir);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  };
+
+  const walk = async (dirPath, relativeDir, depth, inheritedRules) => {
+    if (depth > maxDepth) return;
+
+    const activeRules = inheritedRules.concat(
+      await loadGitignore(dirPath, relativeDir)
+    );
+    const entries = await fileSystem.readdir(dirPath, { withFileTypes: true });
+
+    for (const entry of sortEntries(entries)) {
+      if (ALWAYS_IGNORED.includes(entry.name)) continue;
+
+      const isDirectory = entry.isDirectory();
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (isIgnored(activeRules, relativePath, isDirectory)) continue;
+
+      if (entry.isSymbolicLink()) {
+        const linkPath = `${rootName}${relativePath}`;
+        paths.push(linkPath);
+        links[linkPath] = await fileSystem.readlink(
+          path.join(dirPath, entry.name)
+        );
+      } else if (isDirectory) {
+        paths.push(`${rootName}${relativePath}/`);
+        await walk(
+          path.join(dirPath, entry.name),
+          relativePath,
+          depth + 1,
+          activeRules
+        );
+      } else {
+        paths.push(`${rootName}${relativePath}`);
+      }
+    }
+  };
+
+  await walk(rootDir, "", 1, rules);
+
+  return {
+    text: renderTree(paths, { comments: options.comments, links }),
+    paths,
+    links,
+  };
+}
@@ -0,0 +1,103 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { parseGitignore, isIgnored } from "./glob.js";
+import { RUN_MANIFEST_FILE } from "./history.js";
+
+// Entries that sync never deletes
+const ALWAYS_KEPT = [".git", RUN_MANIFEST_FILE];
+
+/**
+ * Finds what syncing an output directory with a structure deletes: every entry that isn't
+ * in the structure, unless an ignore pattern matches it
+ * Entries inside a deleted directory are listed before it (deepest first); non-empty files
+ * are kept unless forced, and so are the directories that hold them
+ * @param {Array<string>} paths - Paths of the structure (directories end with "/")
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Additional options
+ * @param {Array<string>} options.ignore - Gitignore-style patterns of entries to keep
+ * @param {boolean} options.force - If true, non-empty files are deleted as well
+ * @param {Object} options.fileSystem - File system to use (fs by default)
+ * @returns {Promise<{remove: Array<Object>, keep: Array<Object>}>} - Entries to delete
+ *   ({path, type}) and entries kept ({path, reason}), with paths relative to the output directory
+ */
+export async function planPrune(paths, outputDir, options = {}) {
+  const fileSystem = options.fileSystem || fs;
+  const rules = parseGitignore((options.ignore || []).join("\n"));
+  const listed = new Set(
+    paths.map((entryPath) => entryPath.replace(/\/$/, ""))
+  );
+
+  // Parent directories of the listed paths are part of the structure as well
+  for (const entryPath of [...listed]) {
+    for (
+      let dir = path.posix.dirname(entryPath);
+      dir !== "." && dir !== "/";
+      dir = path.posix.dirname(dir)
+    ) {
+      listed.add(dir);
+    }
+  }
+
+  const remove = [];
+  const keep = [];
+
+  // Returns true if everything below the directory is deleted
+  const collect = async (relativeDir, pruneAll) => {
+    let entries;
+    try {
+      entries = await fileSystem.readdir(path.join(outputDir, relativeDir), {
+        withFileTypes: true,
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") return true;
+      throw error;
+    }
+
+    let emptied = true;
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      const isDirectory = entry.isDirectory();
+      if (
+        ALWAYS_KEPT.includes(entry.name) ||
+        isIgnored(rules, relativePath, isDirectory)
+      ) {
+        if (pruneAll) keep.push({ path: relativePath, reason: "ignored" });
+        emptied = false;
+        continue;
+      }
+
+      const isListed = listed.has(relativePath);
+      if (isDirectory) {
+        const removeDir = pruneAll || !isListed;
+        const dirEmptied = await collect(relativePath, removeDir);
+        if (removeDir && dirEmptied) {
+          remove.push({ path: `${relativePath}/`, type: "directory" });
+        } else {
+          emptied = false;
+        }
+        continue;
+      }
+      if (isListed && !pruneAll) {
+        emptied = false;
+        continue;
+      }
+
+      const type = entry.isSymbolicLink() ? "symlink" : "file";
+      if (type === "file" && !options.force) {
+        const stats = await fileSystem.stat(path.join(outputDir, relativePath));
+        if (stats.size > 0) {
+          keep.push({ path: relativePath, reason: "not empty" });
+          emptied = false;
+          continue;
+        }
+      }
+      remove.push({ path: relativePath, type });
+    }
+    return emptied;
+  };
+
+  await collect("", false);
+  return { remove, keep };
+}
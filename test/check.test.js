@@ -0,0 +1,148 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  checkStructure,
+  checkDirectoryStructure,
+  parseStructureText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const layout = `packages/
+└── */                # @no-extras
+    ├── package.json
+    ├── README.md     # @optional
+    ├── src/
+    │   └── **
+    └── test/
+        └── *.test.js`;
+
+describe("Check mode", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({
+      "/layout.txt": layout,
+      "/repo/packages/api/package.json": "{}",
+      "/repo/packages/api/src/lib/db.js": "",
+      "/repo/packages/api/test/db.test.js": "",
+      "/repo/packages/web/package.json": "{}",
+      "/repo/packages/web/src": "a file where the tree has a directory",
+      "/repo/packages/web/test/README.md": "",
+      "/repo/packages/web/tmp/cache.json": "",
+      "/repo/LICENSE": "",
+    });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const check = (options = {}) =>
+    checkStructure(
+      parseStructureText(layout, { logger: mockLogger }),
+      "/repo",
+      {
+        fileSystem: vol.promises,
+        ...options,
+      }
+    );
+
+  test("reports missing entries, wrong types and extras of @no-extras directories", async () => {
+    const { violations, checked } = await check();
+
+    expect(violations).toEqual([
+      {
+        type: "type",
+        path: "packages/web/src",
+        message: "expected a directory, found a file",
+        line: 5,
+      },
+      {
+        type: "missing",
+        path: "packages/web/test/*.test.js",
+        message: "no file matches",
+        line: 8,
+      },
+      {
+        type: "unexpected",
+        path: "packages/web/tmp/",
+        message: "not in the structure",
+      },
+    ]);
+    expect(checked).toBe(12);
+  });
+
+  test("--no-extras reports extras in every directory, except ignored ones", async () => {
+    const { violations } = await check({
+      noExtras: true,
+      ignore: ["LICENSE"],
+    });
+    expect(violations.map((violation) => violation.path)).toEqual([
+      "packages/web/src",
+      "packages/web/test/*.test.js",
+      "packages/web/test/README.md",
+      "packages/web/tmp/",
+    ]);
+
+    vol.unlinkSync("/repo/LICENSE");
+    vol.mkdirSync("/repo/.git");
+    const { violations: withGit } = await check({ noExtras: true });
+    expect(withGit).toHaveLength(4);
+  });
+
+  test("prints a report and fails with the violations reason", async () => {
+    const result = await checkDirectoryStructure("/layout.txt", "/repo", {
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result).toMatchObject({ success: false, reason: "violations" });
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  ❌ missing     packages/web/test/*.test.js: no file matches (line 8)"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  ❌ unexpected  packages/web/tmp/: not in the structure"
+    );
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      "\n❌ 3 violation(s) found in /repo"
+    );
+  });
+
+  test("succeeds when the directory follows the structure", async () => {
+    vol.unlinkSync("/repo/packages/web/src");
+    vol.mkdirSync("/repo/packages/web/src");
+    vol.writeFileSync("/repo/packages/web/test/app.test.js", "");
+    vol.rmSync("/repo/packages/web/tmp", { recursive: true });
+
+    const result = await checkDirectoryStructure("/layout.txt", "/repo", {
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result).toEqual({ success: true, violations: [] });
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "✨ /repo follows the structure (12 entries checked)"
+    );
+  });
+
+  test("parseArgs processes check with a directory and --no-extras", () => {
+    expect(
+      parseArgs(["check", "layout.txt", "./packages", "--no-extras"])
+    ).toMatchObject({
+      command: "check",
+      filePath: "layout.txt",
+      outputDir: "./packages",
+      noExtras: true,
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import { parseDirectoryFromText, parseArgs } from "../src/dircraft.js";
+
+const structure = `app/
+├── src/
+│   └── index.js
+└── README.md`;
+
+describe("Existing files", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({
+      "/out/app/README.md": "existing readme",
+      "/out/app/src/.keep": "",
+    });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (options = {}) =>
+    parseDirectoryFromText(structure, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+      ...options,
+    });
+
+  test("skips existing files by default", async () => {
+    const result = await run();
+
+    expect(result.success).toBe(true);
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe(
+      "existing readme"
+    );
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(true);
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "⏭️  File skipped (already exists): /out/app/README.md"
+    );
+  });
+
+  test("marks existing entries in the summary", async () => {
+    await run({ dryRun: true });
+
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "- Existing files: 1 (policy: skip)"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith("  📄 app/README.md [exists]");
+    expect(mockLogger.log).toHaveBeenCalledWith("  📁 app/src/ [exists]");
+    expect(mockLogger.log).toHaveBeenCalledWith("  📄 app/src/index.js");
+  });
+
+  test("overwrites existing files", async () => {
+    const result = await run({ onConflict: "overwrite" });
+
+    expect(result.success).toBe(true);
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe("# app\n");
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "📝 File overwritten: /out/app/README.md"
+    );
+  });
+
+  test("backs up existing files before writing", async () => {
+    vol.writeFileSync("/out/app/README.md.bak", "older backup");
+
+    const result = await run({ onConflict: "backup" });
+
+    expect(result.success).toBe(true);
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe("# app\n");
+    expect(vol.readFileSync("/out/app/README.md.bak", "utf8")).toBe(
+      "older backup"
+    );
+    expect(vol.readFileSync("/out/app/README.md.bak.1", "utf8")).toBe(
+      "existing readme"
+    );
+  });
+
+  test("fails before creating anything", async () => {
+    const result = await run({ onConflict: "fail" });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe("1 file(s) already exist: app/README.md");
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(false);
+  });
+
+  test("asks for each existing file", async () => {
+    vol.writeFileSync("/out/app/src/index.js", "existing index");
+    const confirm = jest.fn(async (message) => message.includes("README.md"));
+
+    const result = await run({ onConflict: "ask", confirm });
+
+    expect(result.success).toBe(true);
+    expect(confirm).toHaveBeenCalledWith(
+      "/out/app/README.md already exists. Overwrite it?",
+      false
+    );
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe("# app\n");
+    expect(vol.readFileSync("/out/app/src/index.js", "utf8")).toBe(
+      "existing index"
+    );
+  });
+
+  test("asking without interactive input points to the other policies", async () => {
+    const result = await run({ onConflict: "ask", interactive: false });
+
+    expect(result).toMatchObject({ success: false, reason: "input" });
+    expect(result.error.message).toBe(
+      "Confirmation is required but input is not interactive (--on-conflict ask needs a terminal, even with --yes; use --on-conflict skip, overwrite or backup)"
+    );
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(false);
+  });
+
+  test("rejects unknown policies", async () => {
+    const result = await run({ onConflict: "merge" });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toContain('Unknown conflict policy "merge"');
+  });
+
+  test("parseArgs processes --on-conflict", () => {
+    expect(parseArgs(["tree.txt"]).onConflict).toBe("skip");
+    expect(parseArgs(["tree.txt", "--on-conflict", "backup"]).onConflict).toBe(
+      "backup"
+    );
+  });
+});
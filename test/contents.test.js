@@ -0,0 +1,198 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  parseStructureText,
+  parseDirectoryFromText,
+  extractHeredocs,
+  extractContentBlocks,
+} from "../src/dircraft.js";
+
+const fence = "```";
+const logger = { log: jest.fn(), error: jest.fn() };
+
+describe("Inline file contents", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  test("reads heredocs that follow a plain tree", () => {
+    const { paths, contents, diagnostics } = parseStructureText(
+      `my-app/
+├── src/
+│   └── index.js
+└── README.md
+
+cat > src/index.js << 'EOF'
+console.log("hello");
+EOF
+
+cat <<END > my-app/README.md
+# My app
+
+${fence}bash
+npm start
+${fence}
+END`,
+      { logger }
+    );
+
+    expect(paths).toEqual([
+      "my-app/",
+      "my-app/src/",
+      "my-app/src/index.js",
+      "my-app/README.md",
+    ]);
+    expect(contents).toEqual({
+      "my-app/src/index.js": 'console.log("hello");\n',
+      "my-app/README.md": `# My app\n\n${fence}bash\nnpm start\n${fence}\n`,
+    });
+    expect(diagnostics).toEqual([]);
+  });
+
+  test("reads code blocks named by a label, the info string or a comment", () => {
+    const { paths, contents } = parseStructureText(
+      `Here is the project:
+
+${fence}
+app/
+├── src/
+│   ├── main.py
+│   └── utils.py
+├── pyproject.toml
+└── README.md
+${fence}
+
+### \`src/main.py\`
+
+${fence}python
+from utils import greet
+${fence}
+
+${fence}toml title="pyproject.toml"
+[project]
+name = "app"
+${fence}
+
+${fence}python
+# src/utils.py
+def greet(): ...
+${fence}
+
+And run it with:
+
+${fence}bash
+python src/main.py
+${fence}`,
+      { logger }
+    );
+
+    expect(paths).toHaveLength(6);
+    expect(contents).toEqual({
+      "app/src/main.py": "from utils import greet\n",
+      "app/pyproject.toml": '[project]\nname = "app"\n',
+      "app/src/utils.py": "# src/utils.py\ndef greet(): ...\n",
+    });
+  });
+
+  test("reads labelled code blocks that follow a plain tree", () => {
+    const { paths, contents } = parseStructureText(
+      `app/
+├── main.py
+└── README.md
+
+**main.py**
+${fence}python
+print("hi")
+${fence}`,
+      { logger }
+    );
+
+    expect(paths).toEqual(["app/", "app/main.py", "app/README.md"]);
+    expect(contents).toEqual({ "app/main.py": 'print("hi")\n' });
+  });
+
+  test("the last entry of a Markdown list isn't taken as a label", () => {
+    const list = "- app/\n  - main.py\n  - `README.md`";
+    const text = `${list}
+${fence}python
+print("hi")
+${fence}`;
+
+    expect(extractContentBlocks(text).sections).toEqual([]);
+    expect(
+      parseStructureText(list, { logger, dialect: "markdown" }).paths
+    ).toContain("app/README.md");
+    // The block is left unused, so the text isn't taken for a structure
+    expect(() =>
+      parseStructureText(text, { logger, dialect: "markdown" })
+    ).toThrow("None of the code blocks of the text is a tree");
+  });
+
+  test("warns about contents that don't match exactly one file", () => {
+    const { contents, diagnostics } = parseStructureText(
+      `app/
+├── a/
+│   └── index.js
+└── b/
+    └── index.js
+
+cat > index.js << 'EOF'
+EOF
+cat > missing.js << 'EOF'
+EOF`,
+      { logger }
+    );
+
+    expect(contents).toEqual({});
+    expect(diagnostics.map(({ line, message }) => [line, message])).toEqual([
+      [
+        7,
+        'Content for "index.js" matches several files: app/a/index.js, app/b/index.js',
+      ],
+      [9, `Content for "missing.js" doesn't match any file in the structure`],
+    ]);
+  });
+
+  test("heredoc lines are blanked so line numbers are kept", () => {
+    const { sections, text } = extractHeredocs(
+      "app/\ncat > app/x.txt << EOF\nhello\nEOF\n└── y.txt"
+    );
+
+    expect(sections).toEqual([
+      {
+        path: "app/x.txt",
+        content: "hello\n",
+        line: 2,
+        source: "cat > app/x.txt << EOF",
+      },
+    ]);
+    expect(text).toBe("app/\n\n\n\n└── y.txt");
+  });
+
+  test("creates files with their inline contents", async () => {
+    const result = await parseDirectoryFromText(
+      `app/
+├── index.js
+└── empty.txt
+
+cat > index.js << 'EOF'
+export default 42;
+EOF`,
+      "/out",
+      {
+        skipConfirmation: true,
+        fileSystem: vol.promises,
+        logger,
+        record: false,
+      }
+    );
+
+    expect(result.success).toBe(true);
+    expect(vol.readFileSync("/out/app/index.js", "utf8")).toBe(
+      "export default 42;\n"
+    );
+    expect(vol.readFileSync("/out/app/empty.txt", "utf8")).toBe("");
+  });
+});
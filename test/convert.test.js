@@ -0,0 +1,171 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  CONVERT_FORMATS,
+  convertStructure,
+  convertStructureFile,
+  parseStructureText,
+  structureToManifest,
+  stringifyYaml,
+  parseYaml,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const tree = `my-app/              # Main app
+├── bin/
+│   └── start.sh         # Starts the server @mode 755
+├── config.js -> ../shared/config.js
+├── logs                 # @empty-dir
+└── src/
+    └── index.js         # Entry point`;
+
+describe("Format conversion", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({ "/structure.txt": tree });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const parse = (text, format = "auto") =>
+    parseStructureText(text, { format, logger: mockLogger });
+
+  test("writes every format so that it reads back as the same structure", () => {
+    const structure = parse(tree);
+    structure.contents = {
+      "my-app/src/index.js": "export {};\n\nrun();\n",
+      "my-app/bin/start.sh": "#!/bin/sh",
+    };
+
+    for (const format of CONVERT_FORMATS) {
+      const text = convertStructure(structure, format);
+      const back = parse(
+        text,
+        format === "json" || format === "yaml" ? format : "tree"
+      );
+
+      expect(back.paths.sort()).toEqual([...structure.paths].sort());
+      expect(back.comments).toEqual(structure.comments);
+      expect(back.directives).toEqual(structure.directives);
+      if (format === "json" || format === "yaml") {
+        expect(back.contents).toEqual(structure.contents);
+      }
+    }
+  });
+
+  test("keeps several top-level entries at the top level in a tree", () => {
+    const json = '{"src/": {"index.js": null}, "package.json": "Manifest"}';
+    const text = convertStructure(parse(json, "json"), "tree");
+
+    expect(text).toBe(
+      ".\n├── src/\n│   └── index.js\n└── package.json  # Manifest"
+    );
+    expect(JSON.parse(convertStructure(parse(text), "json"))).toEqual(
+      JSON.parse(json)
+    );
+  });
+
+  test("renders Markdown bullets and flat path lists", () => {
+    const structure = parse(tree);
+
+    expect(convertStructure(structure, "markdown"))
+      .toBe(`- \`my-app/\` — Main app
+  - \`bin/\`
+    - \`start.sh\` — Starts the server @mode 755
+  - \`config.js -> ../shared/config.js\`
+  - \`logs/\` — @empty-dir
+  - \`src/\`
+    - \`index.js\` — Entry point`);
+    expect(convertStructure(structure, "paths"))
+      .toBe(`my-app/                                  # Main app
+my-app/bin/
+my-app/bin/start.sh                      # Starts the server @mode 755
+my-app/config.js -> ../shared/config.js
+my-app/logs/                             # @empty-dir
+my-app/src/
+my-app/src/index.js                      # Entry point`);
+    expect(() => convertStructure(structure, "toml")).toThrow(
+      'Unknown output format "toml"'
+    );
+  });
+
+  test("writes manifests with directory comments, descriptors and quoted scalars", () => {
+    const manifest = structureToManifest(
+      ["app/", "app/a.js", "app/b.sh", "app/empty/", "lib/", "lib/comment"],
+      {
+        "app/": "Main",
+        "app/a.js": "# not a comment",
+        "lib/comment": "A file",
+      },
+      { "app/b.sh": "echo hi\n" }
+    );
+
+    expect(manifest).toEqual({
+      "app/": {
+        comment: "Main",
+        "a.js": "# not a comment",
+        "b.sh": { content: "echo hi\n" },
+        "empty/": {},
+      },
+      "lib/": { comment: { comment: "A file" } },
+    });
+    expect(() =>
+      structureToManifest(["app/", "app/comment"], { "app/": "Main" })
+    ).toThrow(
+      'The comment of "app/" can\'t be written next to a file named "comment"'
+    );
+    expect(stringifyYaml(manifest)).toBe(`app/:
+  comment: Main
+  a.js: "# not a comment"
+  b.sh:
+    content: |
+      echo hi
+  empty/: {}
+lib/:
+  comment:
+    comment: A file
+`);
+    expect(parseYaml(stringifyYaml(manifest))).toEqual(manifest);
+  });
+
+  test("prints the converted structure, with messages on stderr", async () => {
+    const result = await convertStructureFile("/structure.txt", {
+      to: "json",
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(true);
+    expect(mockLogger.log).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(mockLogger.log.mock.calls[0][0])["my-app/"]).toEqual(
+      expect.objectContaining({
+        comment: "Main app",
+        "config.js": "@link ../shared/config.js",
+      })
+    );
+  });
+
+  test("parseArgs processes convert and --to", () => {
+    expect(
+      parseArgs(["convert", "--to", "yaml", "-f", "json", "tree.json"])
+    ).toMatchObject({
+      command: "convert",
+      filePath: "tree.json",
+      to: "yaml",
+      format: "json",
+    });
+  });
+});
@@ -0,0 +1,226 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  parseTreeStructure,
+  parseStructureText,
+  formatDiagnostic,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const messages = (diagnostics) =>
+  diagnostics.map(({ line, severity, message }) => [line, severity, message]);
+
+describe("Parse diagnostics", () => {
+  test("well-formed trees have no diagnostics", () => {
+    const { diagnostics } = parseTreeStructure(`project/
+├── src/
+│   ├── components/
+│   │   └── Button.js
+│   └── index.js
+└── README.md # Docs`);
+
+    expect(diagnostics).toEqual([]);
+  });
+
+  test("reports duplicate entries and keeps the first one", () => {
+    const { paths, diagnostics } = parseTreeStructure(`project/
+├── src/
+│   └── index.js
+├── src/
+│   └── app.js
+└── README.md`);
+
+    expect(paths).toEqual([
+      "project/",
+      "project/src/",
+      "project/src/index.js",
+      "project/src/app.js",
+      "project/README.md",
+    ]);
+    expect(messages(diagnostics)).toEqual([
+      [
+        4,
+        "warning",
+        'Duplicate entry "project/src/" (first defined on line 2)',
+      ],
+    ]);
+  });
+
+  test("reports files that have children", () => {
+    const { paths, diagnostics } = parseTreeStructure(`project/
+├── index.js
+│   └── helper.js
+└── lib
+    └── utils.js`);
+
+    // Extensionless names with children are ordinary directories
+    expect(paths).toContain("project/lib/");
+    expect(messages(diagnostics)).toEqual([
+      [
+        2,
+        "warning",
+        '"index.js" looks like a file but has children; it is treated as a directory',
+      ],
+    ]);
+  });
+
+  test("reports inconsistent indentation", () => {
+    const { diagnostics } = parseTreeStructure(`project/
+├── src/
+│   ├── a.js
+│  └── b.js
+└── README.md`);
+
+    expect(diagnostics).toEqual([
+      {
+        line: 4,
+        column: 8,
+        severity: "warning",
+        message:
+          "Inconsistent indentation: 3 columns is not a multiple of the 4-column indent",
+        source: "│  └── b.js",
+      },
+    ]);
+  });
+
+  test("reports entries indented more than one level deeper", () => {
+    const { diagnostics } = parseTreeStructure(`- src/
+  - lib/
+    - a.js
+  - docs/
+      - deep.md`);
+
+    expect(messages(diagnostics)).toEqual([
+      [
+        5,
+        "warning",
+        '"deep.md" is indented more than one level deeper than its parent',
+      ],
+    ]);
+  });
+
+  test("reports entries without a name", () => {
+    const { paths, diagnostics } = parseTreeStructure(`project/
+├── # nothing here
+│
+└── README.md`);
+
+    expect(paths).toEqual(["project/", "project/README.md"]);
+    expect(messages(diagnostics)).toEqual([
+      [2, "warning", "Entry has no name"],
+    ]);
+  });
+
+  test("reports names that are both a file and a directory as errors", () => {
+    const { diagnostics } = parseTreeStructure(`project/
+├── lib
+└── lib/`);
+
+    expect(messages(diagnostics)).toEqual([
+      [3, "error", '"project/lib" is both a file and a directory (see line 2)'],
+    ]);
+  });
+
+  test("line numbers of code blocks refer to the whole text", () => {
+    const { diagnostics } = parseStructureText(`Here you go:
+
+\`\`\`
+app/
+├── a.js
+└── a.js
+\`\`\``);
+
+    expect(diagnostics.map((diagnostic) => diagnostic.line)).toEqual([6]);
+  });
+
+  test("formats a diagnostic with its source line", () => {
+    expect(
+      formatDiagnostic({
+        line: 4,
+        column: 5,
+        severity: "warning",
+        message: "Entry has no name",
+        source: "├── ",
+      })
+    ).toBe(
+      [
+        "⚠️  warning at line 4, column 5: Entry has no name",
+        "    4 | ├── ",
+        "      |     ^",
+      ].join("\n")
+    );
+  });
+});
+
+describe("Strict mode", () => {
+  let mockLogger;
+
+  const duplicated = `app/
+├── index.js
+└── index.js`;
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (structure, options = {}) =>
+    parseDirectoryFromText(structure, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+      ...options,
+    });
+
+  test("warnings are printed but don't abort by default", async () => {
+    const result = await run(duplicated);
+
+    expect(result.success).toBe(true);
+    expect(vol.existsSync("/out/app/index.js")).toBe(true);
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      [
+        '⚠️  warning at line 3, column 5: Duplicate entry "app/index.js" (first defined on line 2)',
+        "    3 | └── index.js",
+        "      |     ^",
+      ].join("\n")
+    );
+  });
+
+  test("warnings abort in strict mode", async () => {
+    const result = await run(duplicated, { strict: true });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe(
+      "1 warning(s) found in the structure (strict mode)"
+    );
+    expect(vol.existsSync("/out/app")).toBe(false);
+  });
+
+  test("errors always abort", async () => {
+    const result = await run(`app/
+├── lib
+└── lib/`);
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe("1 error(s) found in the structure");
+    expect(vol.existsSync("/out/app")).toBe(false);
+  });
+
+  test("parseArgs processes --strict", () => {
+    expect(parseArgs(["--strict", "structure.txt"]).strict).toBe(true);
+    expect(parseArgs(["structure.txt"]).strict).toBe(false);
+  });
+});
@@ -134,22 +134,22 @@ describe("Direct Structure Input", () => {
       { recursive: true }
     );
 
-    // Check that files were created
+    // Check that files were created with their starter content
     expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
       expect.stringContaining("Button.js"),
-      ""
+      "export {};\n"
     );
     expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
       expect.stringContaining("Input.js"),
-      ""
+      "export {};\n"
     );
     expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
       expect.stringContaining("index.js"),
-      ""
+      "export {};\n"
     );
     expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
       expect.stringContaining("package.json"),
-      ""
+      expect.stringContaining('"name": "project"')
     );
   });
 
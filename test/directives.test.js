@@ -0,0 +1,187 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  extractDirectives,
+  parseStructureText,
+  parseDirectoryFromText,
+  undoLastRun,
+} from "../src/dircraft.js";
+
+describe("Comment directives", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (structure, options) =>
+    parseDirectoryFromText(structure, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+      ...options,
+    });
+
+  test("separates directives from the human comment", () => {
+    expect(extractDirectives("Start script @mode 755 ping @team")).toEqual({
+      comment: "Start script ping @team",
+      directives: { mode: "755" },
+      problems: [],
+    });
+    expect(extractDirectives("@empty-dir @link ../x").directives).toEqual({
+      emptyDir: true,
+      link: "../x",
+    });
+    expect(extractDirectives("@mode rwx").problems).toEqual([
+      {
+        name: "mode",
+        message: '@mode needs an octal mode such as 755, got "rwx"',
+      },
+    ]);
+    expect(extractDirectives("@copy").problems[0].message).toBe(
+      "@copy needs an argument"
+    );
+  });
+
+  test("parses directives by path and turns @empty-dir entries into directories", () => {
+    const structure = parseStructureText(`app/
+├── run.sh      # Start script @mode 755
+├── logs        # @empty-dir
+└── config.js   # @link ../shared/config.js`);
+
+    expect(structure.paths).toEqual([
+      "app/",
+      "app/run.sh",
+      "app/logs/",
+      "app/config.js",
+    ]);
+    expect(structure.comments).toEqual({ "app/run.sh": "Start script" });
+    expect(structure.directives).toEqual({
+      "app/run.sh": { mode: "755" },
+      "app/logs/": { emptyDir: true },
+      "app/config.js": { link: "../shared/config.js" },
+    });
+    expect(structure.lines["app/logs/"]).toBe(3);
+  });
+
+  test("reports invalid directives at their column", () => {
+    const { diagnostics } = parseStructureText(`app/
+├── lib/    # @link ../lib
+│   └── a.js
+└── b.js    # @copy a @link c`);
+
+    expect(diagnostics).toEqual([
+      expect.objectContaining({
+        line: 2,
+        column: 15,
+        severity: "error",
+        message: "A symlink can't have children",
+      }),
+      expect.objectContaining({
+        line: 4,
+        column: 15,
+        message: "@link and @copy can't be combined",
+      }),
+    ]);
+  });
+
+  test("honours the directives when creating the structure", async () => {
+    vol.fromJSON({ "/templates/eslintrc": "{ root: true }\n" });
+
+    const result = await run(
+      `app/
+├── bin/        # @mode 700
+│   └── run.sh  # @mode 755
+├── logs        # @empty-dir
+├── .eslintrc   # @copy ./templates/eslintrc
+└── shared/
+    ├── config.js
+    └── link.js # @link config.js`,
+      { baseDir: "/" }
+    );
+
+    expect(result.success).toBe(true);
+    expect(vol.statSync("/out/app/bin/run.sh").mode & 0o777).toBe(0o755);
+    expect(vol.statSync("/out/app/bin").mode & 0o777).toBe(0o700);
+    expect(vol.readdirSync("/out/app/logs")).toEqual([]);
+    expect(vol.readFileSync("/out/app/.eslintrc", "utf8")).toBe(
+      "{ root: true }\n"
+    );
+    expect(vol.readlinkSync("/out/app/shared/link.js")).toBe("config.js");
+  });
+
+  test("dry runs show the planned action of each directive", async () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+    await run("app/\n├── run.sh # Start @mode 755\n└── logs # @empty-dir", {
+      dryRun: true,
+      logger,
+    });
+
+    const output = logger.log.mock.calls.flat().join("\n");
+    expect(output).toContain("📄 app/run.sh (Start) [mode 755]");
+    expect(output).toContain("📁 app/logs/ [empty]");
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("refuses symlinks and copies that can't be made", async () => {
+    const outside = await run("app/\n└── config.js # @link ../../etc/passwd");
+    expect(outside.success).toBe(false);
+    expect(outside.error.message).toBe(
+      "1 path(s) would be created outside /out"
+    );
+
+    const missing = await run("app/\n└── .eslintrc # @copy nowhere", {
+      baseDir: "/",
+    });
+    expect(missing.success).toBe(false);
+    expect(missing.error.message).toBe(
+      "1 file(s) to copy not found: app/.eslintrc (/nowhere)"
+    );
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("refuses @copy sources outside the structure's directory", async () => {
+    vol.fromJSON({
+      "/etc/hostname": "server\n",
+      "/project/templates/eslintrc": "{}\n",
+    });
+    vol.symlinkSync("/etc", "/project/etc");
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    const result = await run(
+      `app/
+├── a # @copy ../etc/hostname
+├── b # @copy /etc/hostname
+├── c # @copy etc/hostname
+└── d # @copy templates/../templates/eslintrc`,
+      { baseDir: "/project", logger }
+    );
+
+    expect(result).toMatchObject({ success: false, reason: "parse" });
+    expect(result.error.message).toBe("3 @copy source(s) outside /project");
+    expect(logger.error).toHaveBeenCalledWith(
+      "  line 2: app/a @copy ../etc/hostname (path traversal (..))"
+    );
+    expect(logger.error).toHaveBeenCalledWith(
+      "  line 3: app/b @copy /etc/hostname (absolute path)"
+    );
+    expect(logger.error).toHaveBeenCalledWith(
+      "  line 4: app/c @copy etc/hostname (a symlink leads to /etc/hostname)"
+    );
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("undo removes the created symlinks", async () => {
+    await run("app/\n├── a.js\n└── b.js # @link a.js", { record: true });
+
+    const result = await undoLastRun("/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+    });
+
+    expect(result.success).toBe(true);
+    expect(vol.readdirSync("/out")).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  renderStructureDoc,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const structure = `app/              # Demo | sample
+├── src/
+│   └── index.js  # Entry point
+└── README.md`;
+
+describe("Structure documentation", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (options) =>
+    parseDirectoryFromText(structure, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+      ...options,
+    });
+
+  test("renders the tree and a table of descriptions", () => {
+    const doc = renderStructureDoc(
+      ["app/", "app/src/", "app/src/index.js", "app/README.md"],
+      { "app/": "Demo | sample", "app/src/index.js": "Entry point" }
+    );
+
+    expect(doc).toBe(`# Project structure
+
+\`\`\`
+app/
+├── src/
+│   └── index.js
+└── README.md
+\`\`\`
+
+| Path | Description |
+| --- | --- |
+| \`app/\` | Demo \\| sample |
+| \`app/src/index.js\` | Entry point |
+`);
+  });
+
+  test("keeps several top-level entries at the top level of the tree", () => {
+    expect(renderStructureDoc(["src/", "src/index.js", "package.json"])).toBe(
+      "# Project structure\n\n```\n.\n├── src/\n│   └── index.js\n└── package.json\n```\n"
+    );
+  });
+
+  test("leaves the table out when nothing is commented", () => {
+    expect(renderStructureDoc(["app/", "app/a.txt"])).not.toContain("| Path");
+  });
+
+  test("writes the document to the configured path", async () => {
+    const result = await run({ docsPath: "docs/STRUCTURE.md" });
+
+    expect(result.success).toBe(true);
+    const doc = vol.readFileSync("/out/docs/STRUCTURE.md", "utf8");
+    expect(doc).toContain("└── README.md");
+    expect(doc).toContain("| `app/src/index.js` | Entry point |");
+  });
+
+  test("refuses documentation paths outside the output directory", async () => {
+    const result = await run({ docsPath: "../STRUCTURE.md" });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe(
+      "The documentation file must be a file inside the output directory: ../STRUCTURE.md"
+    );
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("parseArgs processes --docs", () => {
+    expect(parseArgs(["--docs", "STRUCTURE.md", "tree.txt"])).toMatchObject({
+      docsPath: "STRUCTURE.md",
+      filePath: "tree.txt",
+    });
+    expect(parseArgs(["tree.txt"]).docsPath).toBeNull();
+  });
+});
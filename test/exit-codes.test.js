@@ -0,0 +1,93 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+import path from "path";
+import fs from "fs/promises";
+import os from "os";
+
+// Import the functions we need to test
+import { parseArgs, parseDirectoryFromText } from "../src/dircraft.js";
+import { main, EXIT_CODES } from "../bin/cli.js";
+
+const structure = `app/
+├── index.js
+└── README.md`;
+
+describe("Non-interactive runs and exit codes", () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "dircraft-exit-"));
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    vol.reset();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const run = (args) => main(parseArgs([...args, "-o", tempDir]));
+
+  test("parseArgs processes --no-input", () => {
+    expect(parseArgs(["--no-input", "tree.txt"]).interactive).toBe(false);
+    expect(parseArgs(["tree.txt"]).interactive).toBe(true);
+  });
+
+  test("fails fast instead of prompting without interactive input", async () => {
+    const confirm = jest.fn();
+    const result = await parseDirectoryFromText(structure, "/out", {
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      interactive: false,
+      confirm,
+    });
+
+    expect(result).toMatchObject({ success: false, reason: "input" });
+    expect(result.error.message).toBe(
+      "Confirmation is required but input is not interactive (use --yes to proceed)"
+    );
+    expect(confirm).not.toHaveBeenCalled();
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("returns a distinct exit code for each outcome", async () => {
+    expect((await run(["-s", structure, "--no-input"])).exitCode).toBe(
+      EXIT_CODES.INPUT_REQUIRED
+    );
+    expect((await run(["-s", structure, "--no-input", "-d"])).exitCode).toBe(
+      EXIT_CODES.SUCCESS
+    );
+    expect(
+      (await run(["-s", "app/\n├── a.js\n└── a.js/", "-y"])).exitCode
+    ).toBe(EXIT_CODES.PARSE_ERROR);
+    expect(
+      (await run([path.join(tempDir, "missing.txt"), "-y"])).exitCode
+    ).toBe(EXIT_CODES.IO_ERROR);
+
+    expect((await run(["-s", structure, "-y", "--block", "0"])).exitCode).toBe(
+      EXIT_CODES.USAGE_ERROR
+    );
+    expect((await run(["-s", structure, "-y", "--no-input"])).exitCode).toBe(
+      EXIT_CODES.SUCCESS
+    );
+    expect(
+      (await run(["-s", structure, "-y", "--on-conflict", "fail"])).exitCode
+    ).toBe(EXIT_CODES.CONFLICT);
+
+    const treeFile = path.join(tempDir, "tree.txt");
+    await fs.writeFile(treeFile, structure);
+    expect((await run(["check", treeFile])).exitCode).toBe(EXIT_CODES.SUCCESS);
+    await fs.rm(path.join(tempDir, "app", "index.js"));
+    expect((await run(["check", treeFile])).exitCode).toBe(
+      EXIT_CODES.VIOLATIONS
+    );
+  });
+});
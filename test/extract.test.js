@@ -0,0 +1,195 @@
+import { describe, test, expect, jest } from "@jest/globals";
+
+// Import the functions we need to test
+import {
+  findCodeBlocks,
+  extractTreeBlocks,
+  selectTreeBlocks,
+  parseStructureText,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const chatResponse = `Sure! First install the dependencies:
+
+\`\`\`bash
+npm install express
+\`\`\`
+
+Here is a suggested structure:
+
+\`\`\`
+my-api/
+├── src/
+│   ├── routes/         # Express routes
+│   │   └── users.js
+│   └── index.js        # Entry point
+└── package.json
+\`\`\`
+
+And the entry point:
+
+\`\`\`js
+import express from "express";
+const app = express();
+\`\`\`
+
+If you also want tests:
+
+~~~text
+my-api/
+└── test/
+    └── users.test.js
+~~~
+`;
+
+describe("Tree extraction from Markdown and chat responses", () => {
+  test("findCodeBlocks returns every fenced block with its line range", () => {
+    const blocks = findCodeBlocks(chatResponse);
+
+    expect(blocks).toHaveLength(4);
+    expect(blocks[0]).toMatchObject({
+      index: 1,
+      language: "bash",
+      content: "npm install express",
+      startLine: 4,
+      endLine: 4,
+    });
+    expect(blocks[1]).toMatchObject({ index: 2, startLine: 10, endLine: 15 });
+    expect(blocks[3]).toMatchObject({ index: 4, language: "text" });
+  });
+
+  test("extractTreeBlocks keeps only blocks that look like trees", () => {
+    const blocks = extractTreeBlocks(chatResponse);
+
+    expect(blocks.map((block) => block.index)).toEqual([2, 4]);
+  });
+
+  test("selectTreeBlocks picks the best block by default", () => {
+    const [best] = selectTreeBlocks(chatResponse);
+
+    expect(best.index).toBe(2);
+    expect(selectTreeBlocks(chatResponse, "all")).toHaveLength(2);
+    expect(selectTreeBlocks(chatResponse, [4])[0].content).toContain(
+      "users.test.js"
+    );
+    expect(() => selectTreeBlocks(chatResponse, [7])).toThrow(
+      "Code block 7 not found"
+    );
+  });
+
+  test("recognises outlines and bullet lists inside fences", () => {
+    const text = "```\nsrc/\n  index.js\n```\n\n```md\n- docs/\n  - a.md\n```";
+
+    expect(extractTreeBlocks(text).map((block) => block.index)).toEqual([1, 2]);
+  });
+
+  test("parseStructureText reports the block it used", () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    const { paths, comments } = parseStructureText(chatResponse, { logger });
+
+    expect(paths).toContain("my-api/src/routes/users.js");
+    expect(paths).not.toContain("my-api/test/users.test.js");
+    expect(comments["my-api/src/index.js"]).toBe("Entry point");
+    expect(logger.log).toHaveBeenCalledWith("Using code block 2 (lines 10-15)");
+  });
+
+  test("parseStructureText merges all selected blocks", () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    const { paths } = parseStructureText(chatResponse, {
+      block: "all",
+      logger,
+    });
+
+    expect(paths.filter((entryPath) => entryPath === "my-api/")).toHaveLength(
+      1
+    );
+    expect(paths).toContain("my-api/test/users.test.js");
+    expect(logger.log).toHaveBeenCalledWith("Using code block 4 (lines 28-30)");
+  });
+
+  test("parseStructureText logs nothing without a logger", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      expect(parseStructureText(chatResponse).paths).toContain(
+        "my-api/src/index.js"
+      );
+      expect(log).not.toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test("text without fences is parsed as a tree", () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    const { paths } = parseStructureText("app/\n└── main.py", { logger });
+
+    expect(paths).toEqual(["app/", "app/main.py"]);
+    expect(logger.log).not.toHaveBeenCalled();
+  });
+
+  test("parseDirectoryFromText creates the structure of a chat response", async () => {
+    const mockFileSystem = {
+      mkdir: jest.fn().mockResolvedValue(undefined),
+      writeFile: jest.fn().mockResolvedValue(undefined),
+    };
+    const mockLogger = { log: jest.fn(), error: jest.fn() };
+
+    const result = await parseDirectoryFromText(chatResponse, "/tmp/out", {
+      skipConfirmation: true,
+      fileSystem: mockFileSystem,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(true);
+    expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
+      expect.stringContaining("my-api/src/routes/users.js"),
+      "export {};\n"
+    );
+    // Three files and the record of the run
+    expect(mockFileSystem.writeFile).toHaveBeenCalledTimes(4);
+    expect(mockFileSystem.writeFile).toHaveBeenLastCalledWith(
+      expect.stringContaining(".dircraft-run.json"),
+      expect.any(String)
+    );
+  });
+
+  test("fails when no code block of a chat response is a tree", async () => {
+    const mockFileSystem = {
+      mkdir: jest.fn().mockResolvedValue(undefined),
+      writeFile: jest.fn().mockResolvedValue(undefined),
+    };
+    const mockLogger = { log: jest.fn(), error: jest.fn() };
+    const reply =
+      'Sure! Here is how you could do it.\n\n```js\nconsole.log("hi");\n```\n\nThen run it with node.\n';
+
+    const result = await parseDirectoryFromText(reply, "/tmp/out", {
+      skipConfirmation: true,
+      fileSystem: mockFileSystem,
+      logger: mockLogger,
+    });
+
+    expect(result).toMatchObject({ success: false, reason: "parse" });
+    expect(result.error.message).toBe(
+      "None of the code blocks of the text is a tree"
+    );
+    expect(mockFileSystem.mkdir).not.toHaveBeenCalled();
+    expect(mockFileSystem.writeFile).not.toHaveBeenCalled();
+  });
+
+  test("parseArgs processes --block", () => {
+    expect(parseArgs(["answer.md"]).block).toBe("best");
+    expect(parseArgs(["answer.md", "--block", "all"]).block).toBe("all");
+    expect(parseArgs(["answer.md", "-b", "1,3"]).block).toEqual([1, 3]);
+    expect(parseArgs(["answer.md"]).usageError).toBeNull();
+
+    for (const value of ["foo", "0", "1,x", "2.5"]) {
+      expect(parseArgs(["answer.md", "--block", value]).usageError).toBe(
+        `Invalid --block value "${value}" (expected best, all or block numbers such as 1,3)`
+      );
+    }
+  });
+});
@@ -0,0 +1,178 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  formatTree,
+  formatStructureFile,
+  parseTreeStructure,
+  parseArgs,
+} from "../src/dircraft.js";
+
+// An LLM-style tree: mixed connectors, a wrong └── and misaligned comments
+const messy = `my-app/
+|-- src/ # Sources
+|   └── utils.js
+|   |-- index.js   # Entry point @mode 755
+├── README.md        # Docs
+├── assets/
+└── shared -> ../shared
+`;
+
+const formatted = `my-app/
+├── src/                 # Sources
+│   ├── utils.js
+│   └── index.js         # Entry point @mode 755
+├── README.md            # Docs
+├── assets/
+└── shared -> ../shared
+`;
+
+describe("Tree formatting", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({ "/structure.txt": messy });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  test("re-renders connectors, guides and the comment column", () => {
+    const { text, diagnostics } = formatTree(messy);
+
+    expect(text).toBe(formatted);
+    expect(diagnostics).toEqual([]);
+    expect(parseTreeStructure(text).paths).toEqual(
+      parseTreeStructure(formatted).paths
+    );
+    expect(formatTree(text).text).toBe(text);
+  });
+
+  test("sorts directories first, then files, alphabetically", () => {
+    expect(formatTree(messy, { sort: true }).text).toBe(`my-app/
+├── assets/
+├── src/                 # Sources
+│   ├── index.js         # Entry point @mode 755
+│   └── utils.js
+├── README.md            # Docs
+└── shared -> ../shared
+`);
+    expect(formatTree(".\n└── b.js\n├── a/", { sort: true }).text).toBe(
+      ".\n├── a/\n└── b.js"
+    );
+  });
+
+  test("renders several top-level entries below a . root", () => {
+    const { text } = formatTree("src/\n  a.js\nREADME.md\n");
+
+    expect(text).toBe(".\n├── src/\n│   └── a.js\n└── README.md\n");
+    expect(parseTreeStructure(text).paths).toEqual([
+      "src/",
+      "src/a.js",
+      "README.md",
+    ]);
+    expect(formatTree(text).text).toBe(text);
+  });
+
+  test("keeps comments that contain a #", () => {
+    expect(formatTree("app/\n└── src/ # sources, see #12\n").text).toBe(
+      "app/\n└── src/  # sources, see #12\n"
+    );
+  });
+
+  test("formats the tree code blocks of a Markdown document", () => {
+    const document = "# Layout\n\n```\napp/\n└── a.js # A\n├── bb.js\n```\n";
+
+    expect(formatTree(document).text).toBe(
+      "# Layout\n\n```\napp/\n├── a.js   # A\n└── bb.js\n```\n"
+    );
+    expect(() => formatTree("Run:\n\n```bash\nnpm install\n```\n")).toThrow(
+      "None of the code blocks of the text is a tree"
+    );
+  });
+
+  test("leaves file contents given as heredocs as they are", () => {
+    const contents = "\ncat > src/index.js << 'EOF'\nconsole.log(1);\nEOF\n";
+    const { text, diagnostics } = formatTree(
+      `app/\n|-- src/\n|   \`-- index.js # Entry\n${contents}`
+    );
+
+    expect(text).toBe(`app/\n└── src/\n    └── index.js  # Entry\n${contents}`);
+    expect(diagnostics).toEqual([]);
+    expect(() =>
+      formatTree("app/\n\ncat > a.js << 'EOF'\nrun();\nEOF\n└── a.js\n")
+    ).toThrow("File contents in the middle of a tree can't be formatted");
+  });
+
+  test("leaves file contents given as named code blocks as they are", () => {
+    const contents = "\n### `src/index.js`\n\n```js\nconsole.log(1);\n```\n";
+    const { text } = formatTree(
+      `my-app/\n├── src/\n│   └── index.js\n├── README.md\n${contents}`
+    );
+
+    expect(text).toBe(
+      `my-app/\n├── src/\n│   └── index.js\n└── README.md\n${contents}`
+    );
+  });
+
+  test("prints the tree, or rewrites the file with --write", async () => {
+    const printed = await formatStructureFile("/structure.txt", {
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+    expect(printed).toMatchObject({ success: true, changed: true });
+    expect(mockLogger.log).toHaveBeenCalledWith(formatted.trimEnd());
+    expect(vol.readFileSync("/structure.txt", "utf8")).toBe(messy);
+
+    await formatStructureFile("/structure.txt", {
+      write: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+    expect(vol.readFileSync("/structure.txt", "utf8")).toBe(formatted);
+    expect(mockLogger.log).toHaveBeenCalledWith("✨ Formatted /structure.txt");
+
+    const again = await formatStructureFile("/structure.txt", {
+      write: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+    expect(again).toMatchObject({ success: true, changed: false });
+  });
+
+  test("leaves the file untouched on parse warnings in strict mode", async () => {
+    const tree = "app/\n├──\n└── a.js\n";
+    vol.writeFileSync("/structure.txt", tree);
+    const result = await formatStructureFile("/structure.txt", {
+      write: true,
+      strict: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result).toMatchObject({ success: false, reason: "parse" });
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "\nProblems found in the file:"
+    );
+    expect(vol.readFileSync("/structure.txt", "utf8")).toBe(tree);
+  });
+
+  test("parseArgs processes fmt, --sort and --write", () => {
+    expect(parseArgs(["fmt", "--sort", "-w", "tree.txt"])).toMatchObject({
+      command: "fmt",
+      filePath: "tree.txt",
+      sort: true,
+      write: true,
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  formatHeaderComment,
+  addHeaderComment,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+describe("Comments as file headers", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  test("picks the comment syntax from the extension", () => {
+    expect(formatHeaderComment("index.ts", "Entry point")).toBe(
+      "// Entry point\n"
+    );
+    expect(formatHeaderComment("main.py", "Entry point")).toBe(
+      "# Entry point\n"
+    );
+    expect(formatHeaderComment("Dockerfile", "Image")).toBe("# Image\n");
+    expect(formatHeaderComment("schema.sql", "Tables")).toBe("-- Tables\n");
+    expect(formatHeaderComment("theme.css", "Colors")).toBe("/* Colors */\n");
+    expect(formatHeaderComment("index.html", "Landing")).toBe(
+      "<!-- Landing -->\n"
+    );
+    expect(formatHeaderComment("package.json", "Dependencies")).toBeNull();
+  });
+
+  test("keeps shebang lines first", () => {
+    expect(
+      addHeaderComment("run.sh", "Starts the app", "#!/bin/sh\nnode .\n")
+    ).toBe("#!/bin/sh\n# Starts the app\nnode .\n");
+    expect(addHeaderComment("index.js", "Entry point", "export {};\n")).toBe(
+      "// Entry point\n\nexport {};\n"
+    );
+    expect(addHeaderComment("data.json", "Fixtures", "{}\n")).toBe("{}\n");
+  });
+
+  test("writes comments into files and directory READMEs", async () => {
+    const structure = `app/                # Demo application
+├── src/            # Source code
+│   ├── index.js    # Entry point
+│   └── main.py     # Worker
+├── docs/           # Documentation
+│   └── README.md
+└── package.json    # Dependencies`;
+
+    const result = await parseDirectoryFromText(structure, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+      commentHeaders: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(vol.readFileSync("/out/app/src/index.js", "utf8")).toBe(
+      "// Entry point\n\nexport {};\n"
+    );
+    expect(vol.readFileSync("/out/app/src/main.py", "utf8")).toBe("# Worker\n");
+    expect(vol.readFileSync("/out/app/src/README.md", "utf8")).toBe(
+      "# src\n\nSource code\n"
+    );
+    // An existing README of the structure gets the comment of its directory
+    expect(vol.readFileSync("/out/app/docs/README.md", "utf8")).toBe(
+      "# docs\n\nDocumentation\n"
+    );
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe(
+      "# app\n\nDemo application\n"
+    );
+    // JSON has no comments
+    expect(
+      JSON.parse(vol.readFileSync("/out/app/package.json", "utf8")).name
+    ).toBe("app");
+  });
+
+  test("comments stay out of the files by default", async () => {
+    await parseDirectoryFromText("app/ # Demo\n└── index.js # Entry", "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+    });
+
+    expect(vol.readFileSync("/out/app/index.js", "utf8")).toBe("");
+    expect(vol.existsSync("/out/app/README.md")).toBe(false);
+  });
+
+  test("parseArgs processes --comment-headers", () => {
+    expect(
+      parseArgs(["--comment-headers", "structure.txt"]).commentHeaders
+    ).toBe(true);
+    expect(parseArgs(["structure.txt"]).commentHeaders).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, test, expect, jest } from "@jest/globals";
+
+// Import the functions we need to test
+import {
+  manifestToStructure,
+  parseYaml,
+  parseStructureText,
+  parseTreeStructure,
+  detectStructureFormat,
+  parseDirectoryStructure,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const jsonManifest = `{
+  "my-app": {
+    "comment": "Project root",
+    "src": {
+      "components": ["Button.jsx", "Input.jsx"],
+      "index.js": "Entry point"
+    },
+    "public/": null,
+    "README.md": { "comment": "Documentation", "content": "# my-app\\n" }
+  }
+}`;
+
+const yamlManifest = `# Project layout
+my-app:
+  comment: Project root
+  src:
+    components:
+      - Button.jsx
+      - Input.jsx
+    index.js: Entry point
+  public/: ~
+  README.md:
+    comment: Documentation
+    content: |
+      # my-app
+`;
+
+const expectedPaths = [
+  "my-app/",
+  "my-app/src/",
+  "my-app/src/components/",
+  "my-app/src/components/Button.jsx",
+  "my-app/src/components/Input.jsx",
+  "my-app/src/index.js",
+  "my-app/public/",
+  "my-app/README.md",
+];
+
+describe("JSON and YAML manifests", () => {
+  test("parses a JSON manifest into paths, comments and contents", () => {
+    const structure = parseStructureText(jsonManifest, { format: "json" });
+
+    expect(structure).toEqual({
+      paths: expectedPaths,
+      comments: {
+        "my-app/": "Project root",
+        "my-app/src/index.js": "Entry point",
+        "my-app/README.md": "Documentation",
+      },
+      contents: { "my-app/README.md": "# my-app\n" },
+      directives: {},
+      diagnostics: [],
+    });
+  });
+
+  test("parses the equivalent YAML manifest to the same structure", () => {
+    expect(parseStructureText(yamlManifest, { format: "yaml" })).toEqual(
+      parseStructureText(jsonManifest, { format: "json" })
+    );
+  });
+
+  test("matches the paths of the equivalent tree", () => {
+    const tree = `my-app/
+├── src/
+│   ├── components/
+│   │   ├── Button.jsx
+│   │   └── Input.jsx
+│   └── index.js
+├── public/
+└── README.md`;
+
+    expect(parseStructureText(jsonManifest).paths).toEqual(
+      parseTreeStructure(tree).paths
+    );
+  });
+
+  test("objects with only a comment are commented directories", () => {
+    expect(
+      manifestToStructure({
+        docs: { comment: "documentation" },
+        "notes.md": { content: "" },
+        lib: { comment: { comment: "A file named comment" } },
+      })
+    ).toEqual({
+      paths: ["docs/", "notes.md", "lib/", "lib/comment"],
+      comments: {
+        "docs/": "documentation",
+        "lib/comment": "A file named comment",
+      },
+      contents: { "notes.md": "" },
+    });
+  });
+
+  test("manifestToStructure rejects invalid entries", () => {
+    expect(() => manifestToStructure({ "a.js": 42 })).toThrow(
+      'Invalid manifest entry "a.js"'
+    );
+    expect(() => manifestToStructure("a.js")).toThrow("Invalid manifest");
+    expect(() => parseStructureText("{ nope", { format: "json" })).toThrow(
+      "Invalid JSON manifest"
+    );
+    expect(() => parseStructureText("a", { format: "toml" })).toThrow(
+      'Unknown structure format "toml"'
+    );
+  });
+
+  describe("parseYaml", () => {
+    test("parses mappings, sequences and scalars", () => {
+      const yaml = `name: "quoted # not a comment"
+single: 'it''s'
+empty: {}
+list: [a.js, "b.js"]
+items:
+- one
+- two: 2
+  three: 3
+nested:
+  key: value # trailing comment
+nothing:`;
+
+      expect(parseYaml(yaml)).toEqual({
+        name: "quoted # not a comment",
+        single: "it's",
+        empty: {},
+        list: ["a.js", "b.js"],
+        items: ["one", { two: "2", three: "3" }],
+        nested: { key: "value" },
+        nothing: null,
+      });
+    });
+
+    test("parses block scalars", () => {
+      const yaml = `literal: |
+  line 1
+    indented
+folded: >-
+  one
+  two
+`;
+
+      expect(parseYaml(yaml)).toEqual({
+        literal: "line 1\n  indented\n",
+        folded: "one two",
+      });
+    });
+
+    test("reports the line of syntax errors", () => {
+      expect(() => parseYaml("a: 1\n    b: 2")).toThrow(
+        "Invalid YAML at line 2"
+      );
+      expect(() => parseYaml("a: 1\na: 2")).toThrow('duplicate key "a"');
+      expect(() => parseYaml("a: 1\n- b")).toThrow("Invalid YAML at line 2");
+    });
+  });
+
+  test("detectStructureFormat uses the extension, then the content", () => {
+    expect(detectStructureFormat("layout.json")).toBe("json");
+    expect(detectStructureFormat("layout.YML")).toBe("yaml");
+    expect(detectStructureFormat("layout.yaml")).toBe("yaml");
+    expect(detectStructureFormat("structure.txt", "{")).toBe("tree");
+    expect(detectStructureFormat(null, '  {"a": null}')).toBe("json");
+    expect(detectStructureFormat(null, "a/\n└── b")).toBe("tree");
+  });
+
+  test("parseDirectoryStructure reads a YAML file and writes its contents", async () => {
+    const mockFileSystem = {
+      readFile: jest.fn().mockResolvedValue(yamlManifest),
+      mkdir: jest.fn().mockResolvedValue(undefined),
+      writeFile: jest.fn().mockResolvedValue(undefined),
+    };
+    const mockLogger = { log: jest.fn(), error: jest.fn() };
+
+    const result = await parseDirectoryStructure("layout.yml", "/tmp/out", {
+      skipConfirmation: true,
+      fileSystem: mockFileSystem,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(true);
+    expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
+      "/tmp/out/my-app/README.md",
+      "# my-app\n"
+    );
+    expect(mockFileSystem.writeFile).toHaveBeenCalledWith(
+      "/tmp/out/my-app/src/index.js",
+      ""
+    );
+    expect(mockFileSystem.mkdir).toHaveBeenCalledWith(
+      "/tmp/out/my-app/public/",
+      {
+        recursive: true,
+      }
+    );
+  });
+
+  test("parseArgs processes --format", () => {
+    expect(parseArgs(["layout.txt"]).format).toBe("auto");
+    expect(parseArgs(["layout.txt", "--format", "yaml"]).format).toBe("yaml");
+    expect(parseArgs(["-f", "json", "layout.txt"]).format).toBe("json");
+  });
+});
@@ -20,6 +20,11 @@ import {
   parseTreeStructure,
   extractNameAndComment,
   calculateIndentationLevel,
+  separateDirectoriesAndFiles,
+  detectTreeDialect,
+  inferIndentWidth,
+  isSummaryLine,
+  TREE_DIALECTS,
 } from "../src/dircraft.js";
 
 describe("ASCII Tree Structure Parser", () => {
@@ -47,6 +52,21 @@ describe("ASCII Tree Structure Parser", () => {
       expect(result.name).toBe("file.js");
       expect(result.comment).toBe("Comment");
     });
+
+    test("keeps the rest of the comment after another #", () => {
+      const result = extractNameAndComment("├── src/ # sources, see #12");
+
+      expect(result.name).toBe("src/");
+      expect(result.comment).toBe("sources, see #12");
+    });
+
+    test("keeps a # inside a name", () => {
+      expect(extractNameAndComment("├── file#1.txt  # First")).toEqual({
+        name: "file#1.txt",
+        comment: "First",
+      });
+      expect(extractNameAndComment("└── C#/").name).toBe("C#/");
+    });
   });
 
   describe("calculateIndentationLevel", () => {
@@ -72,6 +92,14 @@ describe("ASCII Tree Structure Parser", () => {
       // Should count three vertical bars
       expect(level).toBe(3);
     });
+
+    test("counts blank guides below a last child", () => {
+      const line = "│       └── file.js";
+      const level = calculateIndentationLevel(line);
+
+      // One vertical bar plus one blank 4-column guide
+      expect(level).toBe(2);
+    });
   });
 
   describe("parseTreeStructure", () => {
@@ -118,5 +146,422 @@ describe("ASCII Tree Structure Parser", () => {
       expect(paths).toContain("project/src/index.js");
       expect(paths).toContain("project/package.json");
     });
+
+    test("records the source line of each path", () => {
+      const content = `project/
+
+├── src/
+│   └── index.js
+└── package.json`;
+
+      const { lines } = parseTreeStructure(content);
+
+      expect(lines).toEqual({
+        "project/": 1,
+        "project/src/": 3,
+        "project/src/index.js": 4,
+        "project/package.json": 5,
+      });
+    });
+  });
+
+  describe("tree dialects", () => {
+    const expectedPaths = [
+      "project/",
+      "project/src/",
+      "project/src/components/",
+      "project/src/components/Button.js",
+      "project/src/index.js",
+      "project/package.json",
+    ];
+
+    test("parses tree --charset=ascii output", () => {
+      const content = `project/
+|-- src/
+|   |-- components/
+|   |   \`-- Button.js # Button component
+|   \`-- index.js
+\`-- package.json
+
+2 directories, 3 files`;
+
+      const { paths, comments } = parseTreeStructure(content);
+
+      expect(paths).toEqual(expectedPaths);
+      expect(comments["project/src/components/Button.js"]).toBe(
+        "Button component"
+      );
+    });
+
+    test("parses Windows tree /F output", () => {
+      const content = `Folder PATH listing for volume OS
+Volume serial number is 1A2B-3C4D
+C:.
+|   package.json
+|
+\\---project
+    |   README.md
+    |
+    \\---src
+        |   index.js
+        |
+        \\---components
+                Button.js`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "package.json",
+        "project/",
+        "project/README.md",
+        "project/src/",
+        "project/src/index.js",
+        "project/src/components/",
+        "project/src/components/Button.js",
+      ]);
+    });
+
+    test("reads every connector entry of tree /F as a directory", () => {
+      const expected = ["package.json", "logs/", "src/", "src/index.js"];
+      // tree /A /F
+      const ascii = `C:\\work\\app
+|   package.json
+|
++---logs
+\\---src
+        index.js`;
+      // tree /F with the default code page
+      const unicode = `Folder PATH listing
+Volume serial number is 1A2B-3C4D
+C:\\work\\app
+│   package.json
+│
+├───logs
+└───src
+        index.js`;
+
+      for (const content of [ascii, unicode]) {
+        const { paths, diagnostics } = parseTreeStructure(content);
+        expect(paths).toEqual(expected);
+        expect(diagnostics).toEqual([]);
+      }
+      expect(detectTreeDialect(unicode)).toBe("windows");
+      // Unicode trees with spaces after the connectors aren't tree /F output
+      expect(detectTreeDialect("app/\n├─── a.js\n└─── b.js")).toBe("unicode");
+    });
+
+    test("treats entries with children as directories without a trailing slash", () => {
+      const content = `.
+├── src
+│   └── index.js
+└── package.json
+
+1 directory, 2 files`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual(["src/", "src/index.js", "package.json"]);
+    });
+
+    test("detects the dialect from the connectors", () => {
+      expect(detectTreeDialect("a/\n├── b\n└── c")).toBe("unicode");
+      expect(detectTreeDialect("a/\n|-- b\n`-- c")).toBe("ascii");
+      expect(detectTreeDialect("C:.\n+---b\n\\---c")).toBe("windows");
+      expect(detectTreeDialect("just-a-file.txt")).toBe("unicode");
+    });
+
+    test("a forced dialect only strips its own connectors", () => {
+      const content = "project/\n|-- file.js";
+
+      expect(parseTreeStructure(content, { dialect: "ascii" }).paths).toEqual([
+        "project/",
+        "project/file.js",
+      ]);
+      expect(
+        parseTreeStructure(content, { dialect: "unicode" }).paths
+      ).toContain("project/|-- file.js");
+      expect(() => parseTreeStructure(content, { dialect: "klingon" })).toThrow(
+        'Unknown tree dialect "klingon"'
+      );
+    });
+
+    test("recognises summary and header lines", () => {
+      expect(isSummaryLine("3 directories, 12 files")).toBe(true);
+      expect(isSummaryLine("1 directory, 1 file")).toBe(true);
+      expect(isSummaryLine("Folder PATH listing for volume Data")).toBe(true);
+      expect(isSummaryLine("Volume serial number is 0000-1111")).toBe(true);
+      expect(isSummaryLine("├── 3 directories.md")).toBe(false);
+    });
+
+    test("calculates levels with a dialect", () => {
+      expect(
+        calculateIndentationLevel("|   |-- file.js", TREE_DIALECTS.ascii)
+      ).toBe(1);
+      expect(
+        calculateIndentationLevel("|   |   file.js", TREE_DIALECTS.windows)
+      ).toBe(1);
+    });
+  });
+
+  describe("column-based depth", () => {
+    test("attaches entries below a last child to the right parent", () => {
+      const content = `project/
+├── src/
+│   └── index.js
+└── lib/
+    ├── utils/
+    │   └── format.js
+    └── helpers/
+        ├── a.js
+        └── b.js`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "project/",
+        "project/src/",
+        "project/src/index.js",
+        "project/lib/",
+        "project/lib/utils/",
+        "project/lib/utils/format.js",
+        "project/lib/helpers/",
+        "project/lib/helpers/a.js",
+        "project/lib/helpers/b.js",
+      ]);
+    });
+
+    test("handles deeply nested last-child subtrees", () => {
+      const content = `root/
+└── a/
+    └── b/
+        └── c/
+            ├── d.js
+            └── e/
+                └── f.js
+`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "root/",
+        "root/a/",
+        "root/a/b/",
+        "root/a/b/c/",
+        "root/a/b/c/d.js",
+        "root/a/b/c/e/",
+        "root/a/b/c/e/f.js",
+      ]);
+    });
+
+    test("infers narrower indentation widths", () => {
+      const content = `app/
+├─ src/
+│ ├─ main.js
+│ └─ views/
+│   └─ Home.vue
+└─ docs/
+  └─ guide.md`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "app/",
+        "app/src/",
+        "app/src/main.js",
+        "app/src/views/",
+        "app/src/views/Home.vue",
+        "app/docs/",
+        "app/docs/guide.md",
+      ]);
+    });
+
+    test("ignores a common indentation of all entries", () => {
+      const content = `project/
+  ├── src/
+  │   └── index.js
+  └── README.md`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "project/",
+        "project/src/",
+        "project/src/index.js",
+        "project/README.md",
+      ]);
+    });
+
+    test("tolerates entries misaligned by one column", () => {
+      const content = `project/
+├── src/
+│    ├── index.js
+│   └── app.js
+└── README.md`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toContain("project/src/index.js");
+      expect(paths).toContain("project/src/app.js");
+      expect(paths).toContain("project/README.md");
+    });
+
+    test("inferIndentWidth picks the most common step", () => {
+      expect(inferIndentWidth([0, 4, 8, 4, 0, 4])).toBe(4);
+      expect(inferIndentWidth([0, 2, 4, 2, 0])).toBe(2);
+      expect(inferIndentWidth([0, 0, 0])).toBe(4);
+      expect(inferIndentWidth([0, 3, 9])).toBe(3);
+    });
+  });
+
+  describe("indentation-only outlines", () => {
+    test("parses the same paths as the box-drawn form", () => {
+      const outline = `project/
+  src/
+    components/
+      Button.js # Button component
+    index.js
+  package.json`;
+      const boxDrawn = `project/
+├── src/
+│   ├── components/
+│   │   └── Button.js # Button component
+│   └── index.js
+└── package.json`;
+
+      expect(parseTreeStructure(outline)).toEqual(parseTreeStructure(boxDrawn));
+    });
+
+    test("uses tabs as indentation", () => {
+      const content = "src/\n\tlib/\n\t\tutil.js\n\tindex.js";
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "src/",
+        "src/lib/",
+        "src/lib/util.js",
+        "src/index.js",
+      ]);
+    });
+
+    test("keeps several top-level entries as siblings", () => {
+      const content = `src
+   index.js
+README.md`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(detectTreeDialect(content)).toBe("outline");
+      expect(paths).toEqual(["src/", "src/index.js", "README.md"]);
+      expect(separateDirectoriesAndFiles(paths)).toEqual({
+        directories: ["src/"],
+        files: ["src/index.js", "README.md"],
+      });
+    });
+
+    test("can be forced for a single indented entry", () => {
+      const { paths } = parseTreeStructure("app/\n  main.py", {
+        dialect: "outline",
+      });
+
+      expect(paths).toEqual(["app/", "app/main.py"]);
+    });
+  });
+
+  describe("Markdown bullet lists", () => {
+    test("parses nested bullets with code spans and descriptions", () => {
+      const content = `- \`my-app/\` — Project root
+  - \`src/\` — Source code
+    - \`components/\`
+      - \`Button.jsx\` – Reusable button
+    - \`index.js\`: Entry point
+  - **README.md** - Documentation`;
+
+      const { paths, comments } = parseTreeStructure(content);
+
+      expect(detectTreeDialect(content)).toBe("markdown");
+      expect(paths).toEqual([
+        "my-app/",
+        "my-app/src/",
+        "my-app/src/components/",
+        "my-app/src/components/Button.jsx",
+        "my-app/src/index.js",
+        "my-app/README.md",
+      ]);
+      expect(comments).toEqual({
+        "my-app/": "Project root",
+        "my-app/src/": "Source code",
+        "my-app/src/components/Button.jsx": "Reusable button",
+        "my-app/src/index.js": "Entry point",
+        "my-app/README.md": "Documentation",
+      });
+    });
+
+    test("accepts *, + and numbered bullets", () => {
+      const content = `1. docs/
+   * guide.md # User guide
+   + api.md
+2. package.json`;
+
+      const { paths, comments } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "docs/",
+        "docs/guide.md",
+        "docs/api.md",
+        "package.json",
+      ]);
+      expect(comments["docs/guide.md"]).toBe("User guide");
+    });
+
+    test("uses a leading line without bullet as the root", () => {
+      const content = `project/
+- src/
+    - index.js
+- README.md`;
+
+      const { paths } = parseTreeStructure(content);
+
+      expect(paths).toEqual([
+        "project/",
+        "project/src/",
+        "project/src/index.js",
+        "project/README.md",
+      ]);
+    });
+
+    test("skips the prose around the list", () => {
+      const content = `Here is a suggested layout:
+
+- \`src/\`
+  - \`index.js\`
+  wrapped text
+- \`README.md\`
+
+Let me know if you need more!`;
+
+      const { paths, diagnostics } = parseTreeStructure(content);
+
+      expect(paths).toEqual(["src/", "src/index.js", "README.md"]);
+      expect(diagnostics).toEqual([
+        {
+          line: 5,
+          column: 3,
+          severity: "warning",
+          message: "Line without a bullet is ignored",
+          source: "  wrapped text",
+        },
+      ]);
+    });
+
+    test("keeps hyphens that are part of a name", () => {
+      const { name, comment } = extractNameAndComment(
+        "- my-component.test.js",
+        TREE_DIALECTS.markdown
+      );
+
+      expect(name).toBe("my-component.test.js");
+      expect(comment).toBe("");
+    });
   });
 });
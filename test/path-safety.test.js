@@ -0,0 +1,118 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  findUnsafePaths,
+  parseDirectoryFromText,
+  separateDirectoriesAndFiles,
+} from "../src/dircraft.js";
+
+describe("Paths outside the output directory", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({
+      "/home/user/.bashrc": "original",
+      "/out/project/src/.keep": "",
+      "/elsewhere/.keep": "",
+    });
+    vol.symlinkSync("/elsewhere", "/out/project/linked");
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  test("findUnsafePaths reports traversal and absolute paths", async () => {
+    const unsafe = await findUnsafePaths(
+      ["project/", "../../.bashrc", "project/../x.js", "/etc/foo", "C:/x"],
+      "/out",
+      { fileSystem: vol.promises }
+    );
+
+    expect(unsafe).toEqual([
+      { path: "../../.bashrc", reason: "path traversal (..)" },
+      { path: "project/../x.js", reason: "path traversal (..)" },
+      { path: "/etc/foo", reason: "absolute path" },
+      { path: "C:/x", reason: "absolute path" },
+    ]);
+  });
+
+  test("findUnsafePaths reports symlinked parents that point outside", async () => {
+    const unsafe = await findUnsafePaths(
+      ["project/src/index.js", "project/linked/evil.js", "project/linked/"],
+      "/out",
+      { fileSystem: vol.promises }
+    );
+
+    expect(unsafe.map((entry) => entry.path)).toEqual([
+      "project/linked/evil.js",
+      "project/linked/",
+    ]);
+    expect(unsafe[0].reason).toBe(
+      "project/linked is a symlink to /elsewhere, outside the output directory"
+    );
+  });
+
+  test("symlinks that stay inside the output directory are allowed", async () => {
+    vol.symlinkSync("/out/project/src", "/out/project/source");
+
+    const unsafe = await findUnsafePaths(["project/source/a.js"], "/out", {
+      fileSystem: vol.promises,
+    });
+
+    expect(unsafe).toEqual([]);
+  });
+
+  test("refuses to create a structure with unsafe paths and reports their lines", async () => {
+    const structure = `project/
+├── src/
+│   └── index.js
+└── ../../.bashrc`;
+
+    const result = await parseDirectoryFromText(structure, "/out/nested", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe(
+      "1 path(s) would be created outside /out/nested"
+    );
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      "  line 4: project/../../.bashrc (path traversal (..))"
+    );
+    expect(vol.readFileSync("/home/user/.bashrc", "utf8")).toBe("original");
+    expect(vol.existsSync("/out/nested/project/src/index.js")).toBe(false);
+  });
+
+  test("reports absolute roots from direct input", async () => {
+    const result = await parseDirectoryFromText("/etc/\n└── passwd", "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(false);
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      "  line 1: /etc/ (absolute path)"
+    );
+  });
+
+  test("separateDirectoriesAndFiles stops at the root of absolute paths", () => {
+    expect(separateDirectoriesAndFiles(["/etc/foo"])).toEqual({
+      directories: ["/", "/etc/"],
+      files: ["/etc/foo"],
+    });
+  });
+});
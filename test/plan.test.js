@@ -0,0 +1,102 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  planStructure,
+  formatPlanCounts,
+  parseDirectoryFromText,
+} from "../src/dircraft.js";
+
+const structure = `app/
+├── src/
+│   ├── index.js
+│   └── lib/
+└── README.md`;
+
+describe("Plan against an existing directory", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({
+      "/out/app/README.md": "existing readme",
+      "/out/app/src/lib": "a file where the tree has a directory",
+      "/out/app/src/legacy/old.js": "",
+      "/out/app/LICENSE": "",
+    });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (text, options = {}) =>
+    parseDirectoryFromText(text, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: mockLogger,
+      record: false,
+      ...options,
+    });
+
+  test("classifies new, existing, conflicting and untouched entries", async () => {
+    const plan = await planStructure(
+      ["app/", "app/src/", "app/src/lib/", "app/docs/"],
+      ["app/src/index.js", "app/README.md"],
+      "/out",
+      { fileSystem: vol.promises }
+    );
+
+    expect(plan.entries).toEqual([
+      { path: "app/", type: "directory", status: "exists" },
+      { path: "app/src/", type: "directory", status: "exists" },
+      { path: "app/src/lib/", type: "directory", status: "conflict" },
+      { path: "app/docs/", type: "directory", status: "new" },
+      { path: "app/src/index.js", type: "file", status: "new" },
+      { path: "app/README.md", type: "file", status: "exists" },
+    ]);
+    expect(plan.untouched).toEqual(["app/LICENSE", "app/src/legacy/"]);
+    expect(formatPlanCounts(plan.counts)).toBe(
+      "2 new, 3 existing, 1 conflict, 2 untouched"
+    );
+  });
+
+  test("shows the plan and refuses conflicts before creating anything", async () => {
+    const result = await run(structure, { dryRun: true });
+
+    expect(result).toMatchObject({ success: false, reason: "conflict" });
+    expect(result.error.message).toBe(
+      "1 entry conflicts with existing ones of another type: app/src/lib/"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "- Plan: 1 new, 3 existing, 1 conflict, 2 untouched"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  📁 app/src/lib/ [conflict: a file exists]"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith("  · app/src/legacy/");
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(false);
+  });
+
+  test("colours the plan on request", async () => {
+    await run(structure.replace("│   └── lib/\n", ""), {
+      dryRun: true,
+      color: true,
+    });
+
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  \x1b[32m📄 app/src/index.js\x1b[0m"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  \x1b[33m📄 app/README.md [exists]\x1b[0m"
+    );
+  });
+});
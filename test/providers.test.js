@@ -0,0 +1,170 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  createFileContext,
+  provideContent,
+  DEFAULT_CONTENT_PROVIDERS,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const paths = [
+  "my-app/",
+  "my-app/src/",
+  "my-app/src/components/",
+  "my-app/src/components/Button.jsx",
+  "my-app/src/components/Button.test.jsx",
+  "my-app/src/utils/",
+  "my-app/src/utils/format-date.ts",
+  "my-app/src/utils/__tests__/",
+  "my-app/src/utils/__tests__/format-date.spec.ts",
+  "my-app/src/index.js",
+  "my-app/docs/CHANGELOG.md",
+  "my-app/package.json",
+  "my-app/README.md",
+  "my-app/styles.css",
+];
+
+const contentOf = (filePath) =>
+  provideContent(createFileContext(filePath, { paths, outputDir: "/out" }));
+
+describe("Starter content", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  test("React components are named after their file", () => {
+    expect(contentOf("my-app/src/components/Button.jsx")).toBe(
+      "export default function Button() {\n  return <div>Button</div>;\n}\n"
+    );
+  });
+
+  test("modules export nothing yet", () => {
+    expect(contentOf("my-app/src/index.js")).toBe("export {};\n");
+    expect(contentOf("my-app/src/utils/format-date.ts")).toBe("export {};\n");
+  });
+
+  test("only .js files of an ES module package get ESM syntax", () => {
+    const contentIn = (filePath, structure) =>
+      provideContent(createFileContext(filePath, structure));
+
+    // Without a package.json, or with one that isn't "type": "module", .js may be CommonJS
+    expect(
+      contentIn("app/jest.config.js", { paths: ["app/jest.config.js"] })
+    ).toBe("");
+    expect(
+      contentIn("app/src/a.test.js", {
+        paths: ["app/src/a.js", "app/src/a.test.js"],
+      })
+    ).toBe('describe("a", () => {\n  test.todo("works");\n});\n');
+    expect(
+      contentIn("app/src/index.js", {
+        paths: ["app/package.json", "app/src/index.js"],
+        contents: { "app/package.json": '{ "name": "app" }' },
+      })
+    ).toBe("");
+    expect(
+      contentIn("app/src/index.js", {
+        paths: ["app/package.json", "app/src/index.js"],
+        contents: { "app/package.json": '{ "type": "module" }' },
+      })
+    ).toBe("export {};\n");
+    expect(contentIn("app/index.mjs", { paths: ["app/index.mjs"] })).toBe(
+      "export {};\n"
+    );
+    expect(contentIn("app/index.cjs", { paths: ["app/index.cjs"] })).toBe(
+      "module.exports = {};\n"
+    );
+  });
+
+  test("package.json is named after its directory", () => {
+    expect(JSON.parse(contentOf("my-app/package.json"))).toEqual({
+      name: "my-app",
+      version: "0.1.0",
+      private: true,
+      type: "module",
+    });
+
+    // Top-level files take the name of the output directory
+    const context = createFileContext("package.json", {
+      paths: ["package.json"],
+      outputDir: "/work/My Project",
+    });
+    expect(JSON.parse(provideContent(context)).name).toBe("my-project");
+  });
+
+  test("Markdown files start with a title", () => {
+    expect(contentOf("my-app/README.md")).toBe("# my-app\n");
+    expect(contentOf("my-app/docs/CHANGELOG.md")).toBe("# CHANGELOG\n");
+  });
+
+  test("test files import their sibling", () => {
+    expect(contentOf("my-app/src/components/Button.test.jsx")).toBe(
+      `import * as Button from "./Button.jsx";
+
+describe("Button", () => {
+  test.todo("works");
+});
+`
+    );
+    expect(contentOf("my-app/src/utils/__tests__/format-date.spec.ts")).toBe(
+      `import * as formatDate from "../format-date.ts";
+
+describe("format-date", () => {
+  test.todo("works");
+});
+`
+    );
+  });
+
+  test("unknown file types stay empty", () => {
+    expect(contentOf("my-app/styles.css")).toBe("");
+  });
+
+  test("custom providers are consulted in order", () => {
+    const cssProvider = (file) =>
+      file.extension === ".css" ? `/* ${file.name} */\n` : undefined;
+    const context = createFileContext("my-app/styles.css", { paths });
+
+    expect(
+      provideContent(context, [cssProvider, ...DEFAULT_CONTENT_PROVIDERS])
+    ).toBe("/* styles.css */\n");
+  });
+
+  test("creation uses the providers unless empty is set", async () => {
+    const structure = `app/
+├── index.js
+├── notes.txt
+└── package.json
+
+cat > notes.txt << 'EOF'
+keep me
+EOF`;
+    const options = {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+    };
+
+    await parseDirectoryFromText(structure, "/out", options);
+    expect(vol.readFileSync("/out/app/index.js", "utf8")).toBe("export {};\n");
+    // Content given by the structure wins over the providers
+    expect(vol.readFileSync("/out/app/notes.txt", "utf8")).toBe("keep me\n");
+
+    vol.reset();
+    await parseDirectoryFromText(structure, "/out", {
+      ...options,
+      empty: true,
+    });
+    expect(vol.readFileSync("/out/app/index.js", "utf8")).toBe("");
+    expect(vol.readFileSync("/out/app/notes.txt", "utf8")).toBe("keep me\n");
+  });
+
+  test("parseArgs processes --empty", () => {
+    expect(parseArgs(["--empty", "structure.txt"]).empty).toBe(true);
+    expect(parseArgs(["structure.txt"]).empty).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import { parseDirectoryFromText } from "../src/dircraft.js";
+
+const structure = `app/
+├── src/
+│   ├── index.js
+│   └── utils/
+│       └── format.js
+├── docs/
+│   └── guide.md
+└── README.md`;
+
+/**
+ * Wraps the memfs file system so that writing the given file fails
+ */
+function failingFileSystem(failingPath) {
+  const fileSystem = vol.promises;
+  return {
+    stat: (...args) => fileSystem.stat(...args),
+    mkdir: (...args) => fileSystem.mkdir(...args),
+    rename: (...args) => fileSystem.rename(...args),
+    unlink: (...args) => fileSystem.unlink(...args),
+    rmdir: (...args) => fileSystem.rmdir(...args),
+    writeFile: async (filePath, ...args) => {
+      if (filePath === failingPath) {
+        throw Object.assign(new Error("ENOSPC: no space left on device"), {
+          code: "ENOSPC",
+        });
+      }
+      return fileSystem.writeFile(filePath, ...args);
+    },
+  };
+}
+
+describe("Rollback on failure", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (failingPath, options = {}) =>
+    parseDirectoryFromText(structure, "/out/project", {
+      skipConfirmation: true,
+      fileSystem: failingFileSystem(failingPath),
+      logger: mockLogger,
+      ...options,
+    });
+
+  test("removes everything created by the run", async () => {
+    vol.fromJSON({ "/keep.txt": "" });
+
+    const result = await run("/out/project/app/docs/guide.md");
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe("ENOSPC");
+    // Even the output directory, which didn't exist before the run
+    expect(vol.existsSync("/out")).toBe(false);
+    expect(vol.existsSync("/keep.txt")).toBe(true);
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "🗑️  File removed: /out/project/app/src/index.js"
+    );
+  });
+
+  test("never removes items that existed before the run", async () => {
+    vol.fromJSON({
+      "/out/project/app/src/notes.txt": "mine",
+      "/out/project/app/README.md": "old readme",
+    });
+
+    const result = await run("/out/project/app/docs/guide.md", {
+      onConflict: "overwrite",
+    });
+
+    expect(result.success).toBe(false);
+    expect(vol.readFileSync("/out/project/app/src/notes.txt", "utf8")).toBe(
+      "mine"
+    );
+    expect(vol.existsSync("/out/project/app/README.md")).toBe(true);
+    expect(vol.existsSync("/out/project/app/src/index.js")).toBe(false);
+    expect(vol.existsSync("/out/project/app/src/utils")).toBe(false);
+    expect(vol.existsSync("/out/project/app/docs")).toBe(false);
+  });
+
+  test("restores the files moved aside by the backup policy", async () => {
+    vol.fromJSON({ "/out/project/app/src/index.js": "original" });
+
+    const result = await run("/out/project/app/README.md", {
+      onConflict: "backup",
+    });
+
+    expect(result.success).toBe(false);
+    expect(vol.readFileSync("/out/project/app/src/index.js", "utf8")).toBe(
+      "original"
+    );
+    expect(vol.existsSync("/out/project/app/src/index.js.bak")).toBe(false);
+    expect(vol.existsSync("/out/project/app/docs")).toBe(false);
+  });
+
+  test("doesn't roll back successful runs", async () => {
+    const result = await run(null);
+
+    expect(result.success).toBe(true);
+    expect(vol.existsSync("/out/project/app/docs/guide.md")).toBe(true);
+    expect(mockLogger.log).not.toHaveBeenCalledWith(
+      expect.stringContaining("Rolling back")
+    );
+  });
+});
@@ -0,0 +1,193 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import path from "path";
+import os from "os";
+import fs from "fs/promises";
+
+// Import the functions we need to test
+import {
+  parseArgs,
+  parseTreeStructure,
+  scanDirectory,
+  scanDirectoryStructure,
+} from "../src/dircraft.js";
+
+/**
+ * Creates files and directories from a map of relative paths to contents
+ * Paths ending in "/" are created as empty directories
+ */
+async function createFixture(rootDir, entries) {
+  for (const [entryPath, content] of Object.entries(entries)) {
+    const fullPath = path.join(rootDir, entryPath);
+    if (entryPath.endsWith("/")) {
+      await fs.mkdir(fullPath, { recursive: true });
+    } else {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, content);
+    }
+  }
+}
+
+describe("Scan Mode", () => {
+  let tempDir;
+  let projectDir;
+
+  beforeEach(async () => {
+    tempDir = path.join(os.tmpdir(), `dircraft-scan-test-${Date.now()}`);
+    projectDir = path.join(tempDir, "project");
+    await createFixture(projectDir, {
+      "src/components/Button.js": "",
+      "src/components/Input.js": "",
+      "src/index.js": "",
+      "lib/utils/format.js": "",
+      "lib/helpers.js": "",
+      "assets/": "",
+      "package.json": "{}",
+      "README.md": "",
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  test("renders directories first with box-drawing connectors", async () => {
+    const { text } = await scanDirectory(projectDir);
+
+    expect(text).toBe(`project/
+├── assets/
+├── lib/
+│   ├── utils/
+│   │   └── format.js
+│   └── helpers.js
+├── src/
+│   ├── components/
+│   │   ├── Button.js
+│   │   └── Input.js
+│   └── index.js
+├── package.json
+└── README.md`);
+  });
+
+  test("scanning then re-parsing yields the same paths", async () => {
+    await createFixture(projectDir, {
+      "zz/last/deeper/file.txt": "",
+      "zz/last/other.txt": "",
+      "zz/file#1.txt": "",
+    });
+
+    const { text, paths } = await scanDirectory(projectDir);
+
+    expect(parseTreeStructure(text).paths).toEqual(paths);
+  });
+
+  test("limits the depth of the scan", async () => {
+    const { paths } = await scanDirectory(projectDir, { depth: 1 });
+
+    expect(paths).toContain("project/src/");
+    expect(paths).toContain("project/package.json");
+    expect(paths).not.toContain("project/src/index.js");
+  });
+
+  test("excludes entries matched by .gitignore files", async () => {
+    await createFixture(projectDir, {
+      ".gitignore": "# build output\nnode_modules/\n*.log\n/lib/utils\n",
+      "node_modules/dep/index.js": "",
+      "debug.log": "",
+      "src/.gitignore": "*.js\n!index.js\n",
+      ".git/HEAD": "",
+    });
+
+    const { paths } = await scanDirectory(projectDir);
+
+    expect(paths).toContain("project/.gitignore");
+    expect(paths).toContain("project/src/index.js");
+    expect(paths).not.toContain("project/node_modules/");
+    expect(paths).not.toContain("project/debug.log");
+    expect(paths).not.toContain("project/lib/utils/");
+    expect(paths).not.toContain("project/src/components/Button.js");
+    expect(paths).not.toContain("project/.git/");
+
+    const { paths: allPaths } = await scanDirectory(projectDir, {
+      gitignore: false,
+    });
+    expect(allPaths).toContain("project/debug.log");
+    expect(allPaths).not.toContain("project/.git/");
+  });
+
+  test("renders an aligned comment column", async () => {
+    const { text } = await scanDirectory(path.join(projectDir, "src"), {
+      comments: {
+        "src/components/": "Reusable components",
+        "src/index.js": "Entry point",
+      },
+    });
+
+    expect(text).toBe(`src/
+├── components/    # Reusable components
+│   ├── Button.js
+│   └── Input.js
+└── index.js       # Entry point`);
+    expect(parseTreeStructure(text).comments["src/index.js"]).toBe(
+      "Entry point"
+    );
+  });
+
+  test("scanDirectoryStructure reuses comments from a tree file", async () => {
+    const commentsFile = path.join(tempDir, "structure.txt");
+    await fs.writeFile(
+      commentsFile,
+      "my-app/\n├── src/ # Source code\n└── README.md # Docs"
+    );
+
+    const mockLogger = { log: jest.fn(), error: jest.fn() };
+    const result = await scanDirectoryStructure(projectDir, {
+      depth: 1,
+      commentsFile,
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.text).toContain("# Source code");
+    expect(result.text).toContain("└── README.md     # Docs");
+    expect(mockLogger.log).toHaveBeenCalledWith(result.text);
+  });
+
+  test("scanDirectoryStructure reports missing directories", async () => {
+    const mockLogger = { log: jest.fn(), error: jest.fn() };
+    const result = await scanDirectoryStructure(path.join(tempDir, "missing"), {
+      logger: mockLogger,
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe("ENOENT");
+  });
+
+  test("parseArgs processes the scan command", () => {
+    const args = parseArgs([
+      "scan",
+      "./my-project",
+      "-L",
+      "2",
+      "--no-gitignore",
+      "--comments",
+      "structure.txt",
+    ]);
+
+    expect(args.command).toBe("scan");
+    expect(args.scanDir).toBe("./my-project");
+    expect(args.depth).toBe(2);
+    expect(args.gitignore).toBe(false);
+    expect(args.commentsFile).toBe("structure.txt");
+    expect(args.filePath).toBeNull();
+
+    expect(parseArgs(["structure.txt"]).command).toBe("create");
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect, afterEach } from "@jest/globals";
+import { Readable, PassThrough } from "stream";
+import { openSync, closeSync, writeFileSync, rmSync, mkdtempSync } from "fs";
+import os from "os";
+import path from "path";
+
+// Import the functions we need to test
+import {
+  parseArgs,
+  isPipedInput,
+  readInput,
+  openPromptInput,
+  confirmAction,
+} from "../src/dircraft.js";
+
+describe("Structures from standard input", () => {
+  let tempDir;
+
+  afterEach(() => {
+    if (tempDir) rmSync(tempDir, { recursive: true, force: true });
+    tempDir = null;
+  });
+
+  // Standard input redirected from a file, like "dircraft < structure.txt"
+  const redirectedInput = (text) => {
+    tempDir = mkdtempSync(path.join(os.tmpdir(), "dircraft-"));
+    const file = path.join(tempDir, "structure.txt");
+    writeFileSync(file, text);
+    return { fd: openSync(file, "r") };
+  };
+
+  test("parseArgs reads the structure from stdin with -", () => {
+    expect(parseArgs(["-", "-o", "out"])).toMatchObject({
+      stdin: true,
+      filePath: null,
+      outputDir: "out",
+    });
+    expect(parseArgs(["structure.txt"]).stdin).toBe(false);
+  });
+
+  test("parseArgs reads piped input when no structure is given", () => {
+    const stdin = redirectedInput("app/\n└── a.js\n");
+    try {
+      expect(isPipedInput(stdin)).toBe(true);
+      expect(parseArgs(["-o", "out"], stdin)).toMatchObject({
+        stdin: true,
+        filePath: null,
+      });
+      expect(parseArgs(["sync"], stdin).stdin).toBe(true);
+      expect(parseArgs(["structure.txt"], stdin).stdin).toBe(false);
+      expect(parseArgs(["undo"], stdin).stdin).toBe(false);
+    } finally {
+      closeSync(stdin.fd);
+    }
+
+    expect(parseArgs(["-o", "out"], { isTTY: true, fd: 0 }).stdin).toBe(false);
+  });
+
+  test("confirmations read the answer from the terminal once stdin was consumed", async () => {
+    const stdin = Readable.from([Buffer.from("app/\n└── a.js\n")]);
+    await readInput(stdin);
+    const terminal = Readable.from([Buffer.from("y\n")]);
+
+    const input = openPromptInput(stdin, () => terminal);
+    expect(input).toBe(terminal);
+    expect(
+      await confirmAction("Create?", false, {
+        input,
+        output: new PassThrough(),
+      })
+    ).toBe(true);
+
+    // Without a terminal, the consumed stdin can't answer
+    const noTerminal = () => {
+      throw new Error("ENXIO");
+    };
+    expect(openPromptInput(stdin, noTerminal)).toBeNull();
+    expect(openPromptInput({ isTTY: true }, noTerminal)).toEqual({
+      isTTY: true,
+    });
+  });
+
+  test("terminals are not piped input", () => {
+    expect(isPipedInput({ isTTY: true, fd: 0 })).toBe(false);
+    expect(isPipedInput({ fd: -1 })).toBe(false);
+  });
+
+  test("reads the input until it ends", async () => {
+    const input = Readable.from([
+      Buffer.from("app/\n├── a.js\n"),
+      Buffer.from("└── b.js\n"),
+    ]);
+
+    expect(await readInput(input)).toBe("app/\n├── a.js\n└── b.js\n");
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, test, expect, afterEach, jest } from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  extractNameAndComment,
+  parseStructureText,
+  parseDirectoryFromText,
+  renderTree,
+  scanDirectory,
+} from "../src/dircraft.js";
+
+const structure = `app/
+├── releases/
+│   └── v2/
+│       └── index.js
+├── current -> releases/v2   # Live release
+└── config.js -> ../../shared/config.js`;
+
+describe("Symlinks in arrow notation", () => {
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (text, options) =>
+    parseDirectoryFromText(text, "/out", {
+      skipConfirmation: true,
+      fileSystem: vol.promises,
+      logger: { log: jest.fn(), error: jest.fn() },
+      record: false,
+      ...options,
+    });
+
+  test("splits the target off the name", () => {
+    expect(extractNameAndComment("└── current -> releases/v2 # Live")).toEqual({
+      name: "current",
+      target: "releases/v2",
+      comment: "Live",
+    });
+    expect(extractNameAndComment("├── static/ -> ../public/")).toEqual({
+      name: "static",
+      target: "../public/",
+      comment: "",
+    });
+    // Without spaces around the arrow it is part of the name
+    expect(extractNameAndComment("├── a->b.txt").name).toBe("a->b.txt");
+  });
+
+  test("parses arrow entries into symlinks", () => {
+    const parsed = parseStructureText(structure);
+
+    expect(parsed.paths).toContain("app/current");
+    expect(parsed.paths).not.toContain("app/current -> releases/v2");
+    expect(parsed.comments["app/current"]).toBe("Live release");
+    expect(parsed.directives).toEqual({
+      "app/current": { link: "releases/v2" },
+      "app/config.js": { link: "../../shared/config.js" },
+    });
+  });
+
+  test("creates relative symlinks", async () => {
+    const result = await run(
+      structure.replace(" -> ../../shared/config.js", "")
+    );
+
+    expect(result.success).toBe(true);
+    expect(vol.readlinkSync("/out/app/current")).toBe("releases/v2");
+    expect(vol.readdirSync("/out/app/current")).toEqual(["index.js"]);
+  });
+
+  test("can be run again once the symlinks exist", async () => {
+    const tree = structure.replace(" -> ../../shared/config.js", "");
+    await run(tree);
+    const logger = { log: jest.fn(), error: jest.fn() };
+
+    const again = await run(tree, { logger });
+    expect(again.success).toBe(true);
+    expect(logger.log).toHaveBeenCalledWith(
+      "🔗 Symlink already exists: /out/app/current -> releases/v2 (Live release)"
+    );
+    expect(vol.readlinkSync("/out/app/current")).toBe("releases/v2");
+
+    // A symlink to another target is an existing file for the conflict policy
+    const failed = await run(tree.replace("releases/v2  ", "releases/   "), {
+      onConflict: "fail",
+    });
+    expect(failed).toMatchObject({ success: false, reason: "conflict" });
+
+    const replaced = await run(tree.replace("releases/v2  ", "releases/   "), {
+      onConflict: "overwrite",
+    });
+    expect(replaced.success).toBe(true);
+    expect(vol.readlinkSync("/out/app/current")).toBe("releases/");
+  });
+
+  test("refuses targets outside the output directory", async () => {
+    const logger = { log: jest.fn(), error: jest.fn() };
+    const result = await run(structure, { logger });
+
+    expect(result.success).toBe(false);
+    expect(logger.error).toHaveBeenCalledWith(
+      "  line 6: app/config.js (symlink target ../../shared/config.js is outside the output directory)"
+    );
+    expect(vol.existsSync("/out")).toBe(false);
+  });
+
+  test("renders and scans symlinks the same way", async () => {
+    expect(
+      renderTree(["app/", "app/current", "app/releases/"], {
+        links: { "app/current": "releases/v2" },
+      })
+    ).toBe("app/\n├── current -> releases/v2\n└── releases/");
+
+    vol.fromJSON({ "/project/releases/v2/index.js": "" });
+    vol.symlinkSync("releases/v2", "/project/current");
+    const { text } = await scanDirectory("/project", {
+      fileSystem: vol.promises,
+    });
+
+    expect(text).toBe(`project/
+├── releases/
+│   └── v2/
+│       └── index.js
+└── current -> releases/v2`);
+    expect(parseStructureText(text).directives).toEqual({
+      "project/current": { link: "releases/v2" },
+    });
+  });
+});
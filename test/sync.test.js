@@ -0,0 +1,150 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  planPrune,
+  parseDirectoryFromText,
+  parseArgs,
+} from "../src/dircraft.js";
+
+const structure = `docs/
+├── guide/
+│   └── intro.md
+└── index.md`;
+
+describe("Sync mode", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    vol.fromJSON({
+      "/out/docs/index.md": "# Docs",
+      "/out/docs/old.md": "",
+      "/out/docs/notes.md": "keep me",
+      "/out/docs/drafts/a.md": "",
+      "/out/docs/drafts/b.md": "",
+      "/out/docs/scratch/todo.md": "unfinished",
+      "/out/docs/assets/logo.png": "png",
+      "/out/.git/HEAD": "ref: refs/heads/main",
+    });
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const run = (options = {}) =>
+    parseDirectoryFromText(structure, "/out", {
+      fileSystem: vol.promises,
+      logger: mockLogger,
+      record: false,
+      sync: true,
+      ignore: ["assets/"],
+      ...options,
+    });
+
+  test("plans the deletion of entries the structure doesn't list", async () => {
+    const paths = [
+      "docs/",
+      "docs/guide/",
+      "docs/guide/intro.md",
+      "docs/index.md",
+    ];
+    const prune = await planPrune(paths, "/out", {
+      ignore: ["assets/"],
+      fileSystem: vol.promises,
+    });
+
+    expect(prune.remove).toEqual([
+      { path: "docs/drafts/a.md", type: "file" },
+      { path: "docs/drafts/b.md", type: "file" },
+      { path: "docs/drafts/", type: "directory" },
+      { path: "docs/old.md", type: "file" },
+    ]);
+    expect(prune.keep).toEqual([
+      { path: "docs/notes.md", reason: "not empty" },
+      { path: "docs/scratch/todo.md", reason: "not empty" },
+    ]);
+
+    const forced = await planPrune(paths, "/out", {
+      force: true,
+      fileSystem: vol.promises,
+    });
+    expect(forced.remove.map((entry) => entry.path)).toContain("docs/assets/");
+    expect(forced.remove.map((entry) => entry.path)).toContain("docs/scratch/");
+  });
+
+  test("always confirms the deletions, listing each of them", async () => {
+    const confirm = jest.fn().mockResolvedValue(true);
+    const result = await run({ skipConfirmation: true, confirm });
+
+    expect(result.success).toBe(true);
+    expect(confirm).toHaveBeenCalledTimes(1);
+    expect(confirm).toHaveBeenCalledWith(
+      "Delete the 4 item(s) listed above?",
+      false
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith("  🗑️  docs/drafts/");
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  ⏭️  docs/notes.md is kept: not empty"
+    );
+    expect(vol.toJSON()).toEqual({
+      "/out/.git/HEAD": "ref: refs/heads/main",
+      "/out/docs/index.md": "# Docs",
+      "/out/docs/guide/intro.md": "# intro\n",
+      "/out/docs/notes.md": "keep me",
+      "/out/docs/scratch/todo.md": "unfinished",
+      "/out/docs/assets/logo.png": "png",
+    });
+  });
+
+  test("declining the deletions cancels the whole run", async () => {
+    const confirm = jest
+      .fn()
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+    const result = await run({ confirm });
+
+    expect(result).toMatchObject({ success: false, reason: "cancelled" });
+    expect(confirm).toHaveBeenCalledTimes(2);
+    expect(vol.existsSync("/out/docs/old.md")).toBe(true);
+    expect(vol.existsSync("/out/docs/guide")).toBe(false);
+  });
+
+  test("fails without interactive input when something would be deleted", async () => {
+    const result = await run({ skipConfirmation: true, interactive: false });
+
+    expect(result).toMatchObject({ success: false, reason: "input" });
+    expect(result.error.message).toBe(
+      "Confirmation is required but input is not interactive (deletions can only be confirmed in a terminal, even with --yes; preview them with --dry-run)"
+    );
+    expect(vol.existsSync("/out/docs/old.md")).toBe(true);
+  });
+
+  test("parseArgs processes sync, --ignore and --force", () => {
+    expect(
+      parseArgs([
+        "sync",
+        "tree.txt",
+        "--ignore",
+        "*.log",
+        "--ignore",
+        "tmp/",
+        "--force",
+      ])
+    ).toMatchObject({
+      command: "sync",
+      filePath: "tree.txt",
+      ignore: ["*.log", "tmp/"],
+      force: true,
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import {
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+  jest,
+} from "@jest/globals";
+import { vol } from "memfs";
+
+// Import the functions we need to test
+import {
+  parseDirectoryFromText,
+  undoLastRun,
+  readRunManifest,
+  parseArgs,
+  RUN_MANIFEST_FILE,
+} from "../src/dircraft.js";
+
+const structure = `app/
+├── src/
+│   ├── index.js
+│   └── utils/
+│       └── format.js
+└── README.md`;
+
+describe("Undo the last run", () => {
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { log: jest.fn(), error: jest.fn() };
+    vol.fromJSON({ "/out/notes.txt": "mine" });
+  });
+
+  afterEach(() => {
+    vol.reset();
+  });
+
+  const options = (extra = {}) => ({
+    skipConfirmation: true,
+    fileSystem: vol.promises,
+    logger: mockLogger,
+    ...extra,
+  });
+
+  const create = (extra) =>
+    parseDirectoryFromText(structure, "/out", options(extra));
+
+  test("each run records the items it created", async () => {
+    await create();
+
+    const manifest = await readRunManifest("/out", vol.promises);
+    expect(manifest.version).toBe(1);
+    expect(typeof manifest.createdAt).toBe("string");
+    expect(manifest.items.map((item) => item.path)).toEqual([
+      "app",
+      "app/src",
+      "app/src/utils",
+      "app/src/index.js",
+      "app/src/utils/format.js",
+      "app/README.md",
+    ]);
+    expect(manifest.items[3]).toEqual({
+      type: "file",
+      path: "app/src/index.js",
+      // SHA-256 of the empty starter content (no package.json makes it an ES module)
+      hash: "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855",
+      createdAt: expect.any(String),
+    });
+  });
+
+  test("removes everything the last run created", async () => {
+    await create();
+    const result = await undoLastRun("/out", options());
+
+    expect(result.success).toBe(true);
+    expect(vol.toJSON()).toEqual({ "/out/notes.txt": "mine" });
+  });
+
+  test("keeps files modified since the run and their directories", async () => {
+    await create();
+    vol.writeFileSync("/out/app/src/index.js", "console.log('edited');");
+    vol.writeFileSync("/out/app/src/utils/new.js", "");
+
+    const result = await undoLastRun("/out", options());
+
+    expect(result.success).toBe(true);
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(true);
+    expect(vol.existsSync("/out/app/src/utils/new.js")).toBe(true);
+    expect(vol.existsSync("/out/app/src/utils/format.js")).toBe(false);
+    expect(vol.existsSync("/out/app/README.md")).toBe(false);
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  ⏭️  /out/app/src/index.js is kept: modified since it was created"
+    );
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "  ⏭️  /out/app/src/utils is kept: not empty (new.js)"
+    );
+  });
+
+  test("restores files moved aside by the backup policy", async () => {
+    vol.fromJSON({ "/out/app/README.md": "old readme" });
+    await create({ onConflict: "backup" });
+    expect(vol.existsSync("/out/app/README.md.bak")).toBe(true);
+
+    await undoLastRun("/out", options());
+
+    expect(vol.readFileSync("/out/app/README.md", "utf8")).toBe("old readme");
+    expect(vol.existsSync("/out/app/README.md.bak")).toBe(false);
+    // The directory existed before the run
+    expect(vol.existsSync("/out/app")).toBe(true);
+    expect(vol.existsSync("/out/app/src")).toBe(false);
+  });
+
+  test("a run can only be undone once", async () => {
+    await create();
+    await undoLastRun("/out", options());
+    const result = await undoLastRun("/out", options());
+
+    expect(result.success).toBe(false);
+    expect(mockLogger.log).toHaveBeenCalledWith(
+      "No recorded run to undo in /out."
+    );
+  });
+
+  test("dry run and cancellation leave everything in place", async () => {
+    await create();
+
+    await undoLastRun("/out", options({ dryRun: true }));
+    const confirm = jest.fn().mockResolvedValue(false);
+    const result = await undoLastRun(
+      "/out",
+      options({ skipConfirmation: false, confirm })
+    );
+
+    expect(result.success).toBe(false);
+    expect(confirm).toHaveBeenCalledWith(
+      "Do you want to undo these 6 change(s)?"
+    );
+    expect(vol.existsSync("/out/app/src/index.js")).toBe(true);
+    expect(vol.existsSync(`/out/${RUN_MANIFEST_FILE}`)).toBe(true);
+  });
+
+  test("runs are not recorded with record: false", async () => {
+    await create({ record: false });
+
+    expect(vol.existsSync(`/out/${RUN_MANIFEST_FILE}`)).toBe(false);
+  });
+
+  test("parseArgs processes the undo command", () => {
+    const args = parseArgs(["undo", "./my-project", "-y"]);
+
+    expect(args.command).toBe("undo");
+    expect(args.outputDir).toBe("./my-project");
+    expect(args.skipConfirmation).toBe(true);
+    expect(parseArgs(["--no-record", "structure.txt"]).record).toBe(false);
+  });
+});